@@ -0,0 +1,729 @@
+#!/usr/bin/env node
+"use strict";
+
+// Консольный запуск анализа продаж без браузера.
+// src/main.js и файлы data/dataset_*.js — обычные браузерные скрипты
+// с глобальными объявлениями, поэтому они выполняются в изолированном
+// контексте vm, откуда забираются нужные функции и данные.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const MAIN_PATH = path.join(__dirname, "..", "src", "main.js");
+
+// Стратегии, доступные по имени из командной строки
+const REVENUE_STRATEGIES = {
+  simple: "calculateSimpleRevenue",
+};
+
+const BONUS_STRATEGIES = {
+  profit: "calculateBonusByProfit",
+};
+
+const FORMATS = ["table", "json", "csv"];
+
+const REPORTS = ["sellers", "products", "customers", "rfm"];
+
+// Текст справки по запуску
+function usage() {
+  return `Использование: node bin/sales-bonus.js <датасет> [параметры]
+
+  <датасет>            файл data/dataset_*.js (глобальная переменная data) или JSON-файл
+
+Параметры:
+  --report <отчет>     отчет: ${REPORTS.join(", ")} (по умолчанию sellers)
+  --sort <показатель>  показатель рейтинга товаров: revenue, profit, margin, quantity,
+                       receipts_count (для --report products)
+  --bins <число>       число квантильных уровней RFM-оценки (для --report rfm, по умолчанию 5)
+  --revenue <имя>      стратегия расчета выручки: ${Object.keys(REVENUE_STRATEGIES).join(", ")}
+  --bonus <имя>        стратегия расчета бонусов: ${Object.keys(BONUS_STRATEGIES).join(", ")}
+  --tiers <файл>       JSON-таблица уровней бонусов вместо --bonus (см. data/bonus_tiers.json)
+  --brackets <файл>    JSON-шкала прогрессивной комиссии вместо --bonus (см. data/bonus_brackets.json)
+  --curve <файл>       JSON-кривая бонуса за выполнение цели вместо --bonus
+                       (см. data/attainment_curve.json, требует --targets)
+  --pool <сумма>       распределить фиксированный фонд бонусов вместо --bonus/--tiers
+  --distribution <способ> распределение фонда: profit, rank, mix (по умолчанию profit)
+  --ties <правило>     места при равной прибыли: dense, competition, shared
+  --rank <показатели>  рейтинг по показателю (profit, revenue, sales_count, average_receipt,
+                       margin) или по весам, например profit=2,margin=1
+  --top <число>        число товаров в top_products (по умолчанию 10)
+  --top-by <показатель> показатель top_products: quantity, revenue, profit (по умолчанию quantity)
+  --losses             добавить в отчет убыточные позиции продавца
+  --categories         добавить разбивку по категориям товаров и сводку по магазину
+                       (сводка выводится в форматах table и json)
+  --retention          добавить уникальных, повторных и новых (с даты --from) покупателей
+  --tenure             исключить чеки раньше даты начала работы продавца (с предупреждением)
+                       и добавить должность и рабочие дни продавца в периоде
+  --multipliers <пары> множители бонуса по должности, например "Senior Seller=1.2"
+  --prorate            уменьшить бонус пропорционально рабочим дням продавца в периоде
+  --limits <файл>      JSON-файл ограничений бонуса: maxBonus, maxRevenuePercent, minBonus,
+                       minSales, requireProfit (не допущенные к бонусу получают 0 с причиной)
+  --targets <файл>     JSON-файл целей продавцов по периодам (см. data/sales_targets.json),
+                       в отчет добавляется процент выполнения
+  --metric <показатель> показатель целей: profit или revenue (по умолчанию profit)
+  --teams <файл>       JSON-файл команд { seller_id: команда } (см. data/seller_teams.json),
+                       добавляет итоги и рейтинг команд (выводится в форматах table и json)
+  --team-bonus <имя>   стратегия бонуса команды: ${Object.keys(BONUS_STRATEGIES).join(", ")},
+                       бонус делится между участниками по доле в прибыли команды
+  --explain            добавить пояснение к расчету бонуса: уровень, база, процент, корректировки
+  --format <формат>    формат вывода: ${FORMATS.join(", ")} (по умолчанию table)
+  --from <дата>        учитывать чеки начиная с даты YYYY-MM-DD включительно
+  --to <дата>          учитывать чеки по дату YYYY-MM-DD включительно
+  --compare-from <дата> начало предыдущего периода для сравнения с --from/--to:
+                       прирост выручки и прибыли, движение в рейтинге, новые и выбывшие
+  --compare-to <дата>  конец предыдущего периода для сравнения
+  --period <период>    отдельный отчет за каждый период: month, quarter, week
+  --reconcile          сверить суммы чеков с выручкой по позициям, расхождения — в stderr
+  --validation <режим> проверка данных: strict (остановка при ошибках) или lenient
+                       (ошибочные строки пропускаются), проблемы — в stderr
+  -h, --help           показать эту справку`;
+}
+
+/**
+ * Загрузка функций анализа из src/main.js
+ * @param mainPath путь к файлу main.js
+ * @returns {object} контекст с глобальными функциями main.js
+ */
+function loadAnalyzer(mainPath) {
+  const context = vm.createContext({});
+  vm.runInContext(fs.readFileSync(mainPath, "utf8"), context, {
+    filename: mainPath,
+  });
+  return context;
+}
+
+/**
+ * Загрузка датасета: JSON-файл или скрипт с объявлением `const data = ...`
+ * @param filePath путь к файлу датасета
+ * @returns {object}
+ */
+function loadDataset(filePath) {
+  const source = fs.readFileSync(filePath, "utf8");
+
+  if (path.extname(filePath).toLowerCase() === ".json") {
+    return JSON.parse(source);
+  }
+
+  // Объявление через const не попадает в свойства глобального объекта,
+  // поэтому значение data возвращается последним выражением скрипта
+  const context = vm.createContext({});
+  const data = vm.runInContext(`${source}\n;data;`, context, {
+    filename: filePath,
+  });
+
+  if (!data || typeof data !== "object") {
+    throw new Error(`В файле ${filePath} не найдена переменная data`);
+  }
+
+  return data;
+}
+
+/**
+ * Разбор аргументов командной строки
+ * @param argv аргументы без пути к node и скрипту
+ * @returns {{file, report, sort, bins, revenue, bonus, tiers, brackets, curve, pool, distribution, ties, rank, top, top-by, losses, categories, retention, tenure, multipliers, prorate, limits, targets, metric, teams, team-bonus, explain, format, from, to, compare-from, compare-to, period, reconcile, validation, help}}
+ */
+function parseArgs(argv) {
+  const args = {
+    file: null,
+    report: "sellers",
+    sort: undefined,
+    bins: undefined,
+    revenue: "simple",
+    bonus: "profit",
+    tiers: undefined,
+    brackets: undefined,
+    curve: undefined,
+    pool: undefined,
+    distribution: "profit",
+    ties: undefined,
+    rank: undefined,
+    top: undefined,
+    "top-by": undefined,
+    losses: false,
+    categories: false,
+    retention: false,
+    tenure: false,
+    multipliers: undefined,
+    prorate: false,
+    limits: undefined,
+    targets: undefined,
+    metric: undefined,
+    teams: undefined,
+    "team-bonus": undefined,
+    explain: false,
+    format: "table",
+    from: undefined,
+    to: undefined,
+    "compare-from": undefined,
+    "compare-to": undefined,
+    period: undefined,
+    reconcile: false,
+    validation: undefined,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "-h" || arg === "--help") {
+      args.help = true;
+      continue;
+    }
+
+    if (arg.startsWith("--")) {
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (!Object.prototype.hasOwnProperty.call(args, name) || name === "file") {
+        throw new Error(`Неизвестный параметр: ${arg}`);
+      }
+      // Логические параметры-флаги не принимают значения
+      if (typeof args[name] === "boolean") {
+        if (inlineValue !== undefined) {
+          throw new Error(`Параметр --${name} не принимает значения`);
+        }
+        args[name] = true;
+        continue;
+      }
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw new Error(`Для параметра --${name} не указано значение`);
+      }
+      args[name] = value;
+      continue;
+    }
+
+    if (args.file !== null) {
+      throw new Error(`Лишний аргумент: ${arg}`);
+    }
+    args.file = arg;
+  }
+
+  return args;
+}
+
+/**
+ * Выбор стратегии по имени
+ * @param strategies таблица имя стратегии → имя функции в main.js
+ * @param name имя из командной строки
+ * @param analyzer контекст с функциями main.js
+ * @param kind назначение стратегии для сообщения об ошибке
+ * @returns {function}
+ */
+function resolveStrategy(strategies, name, analyzer, kind) {
+  if (!Object.prototype.hasOwnProperty.call(strategies, name)) {
+    throw new Error(
+      `Неизвестная стратегия ${kind}: ${name}. Доступны: ${Object.keys(strategies).join(", ")}`
+    );
+  }
+  return analyzer[strategies[name]];
+}
+
+/**
+ * Разбор списка пар имя=число через запятую
+ * @param value значение параметра
+ * @returns {object}
+ */
+function parsePairs(value) {
+  return value.split(",").reduce((pairs, pair) => {
+    const [name, number] = pair.split("=");
+    return { ...pairs, [name.trim()]: Number(number) };
+  }, {});
+}
+
+/**
+ * Разбор параметра --rank: имя показателя или список показатель=вес через запятую
+ * @param value значение параметра
+ * @returns {string|object} значение options.rankBy
+ */
+function parseRankBy(value) {
+  return value.includes("=") ? parsePairs(value) : value;
+}
+
+// Представление top_products одной строкой для табличных форматов:
+// SKU с показателем, по которому построен топ
+function formatTopProducts(topProducts) {
+  const value = (product) => {
+    if (product.revenue !== undefined) return product.revenue;
+    if (product.profit !== undefined) return product.profit;
+    return product.quantity;
+  };
+
+  return topProducts.map((product) => `${product.sku}:${value(product)}`).join(" ");
+}
+
+// Представление убыточных позиций одной строкой для табличных форматов
+function formatLosses(losses) {
+  const worst = losses.worst_products.map((product) => `${product.sku}:${product.amount}`).join(" ");
+  return `${losses.count} / ${losses.amount}${worst ? ` (${worst})` : ""}`;
+}
+
+// Представление выручки по категориям одной строкой для табличных форматов
+function formatCategories(categories) {
+  return categories.map((category) => `${category.category}:${category.revenue}`).join(" ");
+}
+
+// Представление выполнения цели одной строкой для табличных форматов
+function formatTarget(target) {
+  return `${target.actual} / ${target.amount} (${target.attainment_percent}%)`;
+}
+
+// Представление пояснения к бонусу одной строкой для табличных форматов
+function formatBonusDetails(details) {
+  const basis =
+    details.method === "bonus_pool"
+      ? `фонд ${details.pool} (${details.distribution}), доля ${details.share}`
+      : `${details.tier}: ${details.percent}% от ${details.base}`;
+  const adjustments = details.adjustments.map(
+    (adjustment) => `${adjustment.type} ${adjustment.before}→${adjustment.after}`
+  );
+  return [basis, ...adjustments].join("; ");
+}
+
+// Плоские строки сравнения периодов: значение, изменение и процент изменения отдельными столбцами
+function toComparisonRows(comparison) {
+  const movement = (value) => {
+    if (value === null) return "";
+    if (value > 0) return `↑${value}`;
+    if (value < 0) return `↓${-value}`;
+    return "=";
+  };
+
+  return comparison.map((seller) => ({
+    seller_id: seller.seller_id,
+    name: seller.name,
+    status: seller.status,
+    rank: seller.rank.current,
+    previous_rank: seller.rank.previous,
+    movement: movement(seller.rank.movement),
+    ...["revenue", "profit", "sales_count"].reduce(
+      (columns, field) => ({
+        ...columns,
+        [field]: seller[field].current,
+        [`${field}_change`]: seller[field].change,
+        [`${field}_change_percent`]: seller[field].change_percent,
+      }),
+      {}
+    ),
+  }));
+}
+
+// Плоские строки сводки по командам: участники с долей вклада и бонусом одной строкой
+function toTeamRows(teams) {
+  return teams.map((team) => ({
+    ...team,
+    members: team.members
+      .map((member) =>
+        member.bonus !== undefined
+          ? `${member.seller_id}:${member.share}:${member.bonus}`
+          : `${member.seller_id}:${member.share}`
+      )
+      .join(" "),
+  }));
+}
+
+// Плоские строки отчета для табличных форматов
+function toRows(report) {
+  return report.map((seller) => ({
+    ...seller,
+    top_products: formatTopProducts(seller.top_products),
+    ...(seller.categories && { categories: formatCategories(seller.categories) }),
+    ...(seller.losses && { losses: formatLosses(seller.losses) }),
+    ...(seller.tenure && { tenure: `${seller.tenure.active_days}/${seller.tenure.period_days}` }),
+    ...(seller.target && { target: formatTarget(seller.target) }),
+    ...(seller.bonus_details && { bonus_details: formatBonusDetails(seller.bonus_details) }),
+  }));
+}
+
+// Отсутствующее значение (например, маржа непроданного товара) выводится пустой ячейкой,
+// вложенный объект-счетчик — парами ключ:значение
+function formatCell(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") {
+    return Object.entries(value)
+      .map(([key, count]) => `${key}:${count}`)
+      .join(" ");
+  }
+  return String(value);
+}
+
+// Столбцы всех строк: необязательные поля (например, disqualified) есть не у каждой строки
+function collectColumns(rows) {
+  return [...new Set(rows.flatMap((row) => Object.keys(row)))];
+}
+
+// Выровненная текстовая таблица из плоских строк, заголовок — ключи строк
+function rowsToTable(rows) {
+  if (rows.length === 0) return "";
+
+  const columns = collectColumns(rows);
+  const cells = rows.map((row) => columns.map((column) => formatCell(row[column])));
+  const widths = columns.map((column, i) =>
+    Math.max(column.length, ...cells.map((row) => row[i].length))
+  );
+
+  // Числа выравниваются по правому краю, остальное — по левому
+  const pad = (value, i) =>
+    rows.some((row) => typeof row[columns[i]] === "number")
+      ? value.padStart(widths[i])
+      : value.padEnd(widths[i]);
+
+  const lines = [
+    columns.map(pad).join("  "),
+    widths.map((width) => "-".repeat(width)).join("  "),
+    ...cells.map((row) => row.map(pad).join("  ")),
+  ];
+
+  return lines.map((line) => line.trimEnd()).join("\n");
+}
+
+/**
+ * Вывод отчета в виде выровненной текстовой таблицы
+ * @param report результат analyzeSalesData
+ * @returns {string}
+ */
+function formatTable(report) {
+  return rowsToTable(toRows(report));
+}
+
+// Экранирование значения по правилам RFC 4180
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV из плоских строк, заголовок берется по ключам первой строки
+function rowsToCsv(rows) {
+  if (rows.length === 0) return "";
+
+  const columns = collectColumns(rows);
+  return [
+    columns.map(escapeCsv).join(","),
+    ...rows.map((row) => columns.map((column) => escapeCsv(formatCell(row[column]))).join(",")),
+  ].join("\n");
+}
+
+/**
+ * Вывод отчета в формате CSV
+ * @param report результат analyzeSalesData
+ * @returns {string}
+ */
+function formatCsv(report) {
+  return rowsToCsv(toRows(report));
+}
+
+/**
+ * Вывод отчетов по периодам: отдельная таблица на каждый период
+ * @param periods результат analyzeSalesDataByPeriod
+ * @returns {string}
+ */
+function formatPeriodsTable(periods) {
+  return periods
+    .map((period) => `${period.period} (${period.from} — ${period.to})\n${formatTable(period.report)}`)
+    .join("\n\n");
+}
+
+/**
+ * Вывод отчетов по периодам в один CSV с колонкой period
+ * @param periods результат analyzeSalesDataByPeriod
+ * @returns {string}
+ */
+function formatPeriodsCsv(periods) {
+  return rowsToCsv(
+    periods.flatMap((period) =>
+      toRows(period.report).map((row) => ({ period: period.period, ...row }))
+    )
+  );
+}
+
+// Предупреждение о расхождении суммы чека с выручкой по позициям
+function formatDiscrepancy(discrepancy) {
+  return (
+    `чек ${discrepancy.receipt_id} (${discrepancy.date}, ${discrepancy.seller_id}): ` +
+    `позиции ${discrepancy.items_amount}, total_amount ${discrepancy.total_amount} ` +
+    `(${discrepancy.amount_difference}); ` +
+    `скидка по позициям ${discrepancy.items_discount}, total_discount ${discrepancy.total_discount} ` +
+    `(${discrepancy.discount_difference})`
+  );
+}
+
+/**
+ * Вывод проблем в данных: ошибки построчно, предупреждения — сводкой по кодам
+ * @param issues результат validateSalesData
+ */
+function reportIssues(issues) {
+  const warnings = {};
+
+  issues.forEach((issue) => {
+    if (issue.severity === "error") {
+      process.stderr.write(`sales-bonus: ${issue.path}: ${issue.message} [${issue.code}]\n`);
+    } else {
+      warnings[issue.code] = (warnings[issue.code] || 0) + 1;
+    }
+  });
+
+  Object.entries(warnings).forEach(([code, count]) => {
+    process.stderr.write(`sales-bonus: предупреждений ${code}: ${count}\n`);
+  });
+}
+
+/**
+ * Вывод чеков и позиций, исключенных из отчета, и итоговой суммы
+ * @param orphans раздел orphans результата analyzeSalesReport
+ */
+function reportOrphans(orphans) {
+  orphans.receipts.forEach((receipt) => {
+    process.stderr.write(
+      `sales-bonus: чек ${receipt.receipt_id} (${receipt.date}) на сумму ${receipt.amount} исключен: ` +
+        `неизвестный продавец ${receipt.seller_id}\n`
+    );
+  });
+
+  orphans.items.forEach((item) => {
+    process.stderr.write(
+      `sales-bonus: позиция ${item.sku} чека ${item.receipt_id} на сумму ${item.amount} исключена: ` +
+        `неизвестный товар\n`
+    );
+  });
+
+  const { totals } = orphans;
+  if (totals.receipts_count > 0 || totals.items_count > 0) {
+    process.stderr.write(
+      `sales-bonus: исключено из отчета: чеков ${totals.receipts_count} на сумму ${totals.receipts_amount}, ` +
+        `позиций ${totals.items_count} на сумму ${totals.items_amount}, всего ${totals.amount}\n`
+    );
+  }
+}
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+const FORMATTERS = {
+  table: formatTable,
+  json: toJson,
+  csv: formatCsv,
+};
+
+// Форматы для отчетов из плоских строк без вложенных разделов
+const ROW_FORMATTERS = {
+  table: rowsToTable,
+  json: toJson,
+  csv: rowsToCsv,
+};
+
+const PERIOD_FORMATTERS = {
+  table: formatPeriodsTable,
+  json: toJson,
+  csv: formatPeriodsCsv,
+};
+
+/**
+ * Вывод основного отчета со сводками: в table — отдельными таблицами, в json — объектом
+ * со всеми разделами, в csv сводкам нет места и выводится только основной отчет
+ * @param format формат вывода
+ * @param report основной отчет { key, rows, toTable, toCsv }
+ * @param summaries сводки { key, title, rows, toRows? }, toRows готовит строки для таблицы
+ */
+function writeWithSummary(format, report, ...summaries) {
+  if (format === "table") {
+    const tables = summaries.map(
+      (summary) =>
+        `${summary.title}\n${rowsToTable(summary.toRows ? summary.toRows(summary.rows) : summary.rows)}`
+    );
+    process.stdout.write([report.toTable(report.rows), ...tables].join("\n\n") + "\n");
+  } else if (format === "json") {
+    const sections = summaries.reduce(
+      (result, summary) => ({ ...result, [summary.key]: summary.rows }),
+      { [report.key]: report.rows }
+    );
+    process.stdout.write(toJson(sections) + "\n");
+  } else {
+    process.stdout.write(report.toCsv(report.rows) + "\n");
+  }
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+
+  if (args.help) {
+    process.stdout.write(usage() + "\n");
+    return;
+  }
+
+  if (!args.file) {
+    throw new Error("Не указан файл датасета");
+  }
+
+  if (!FORMATS.includes(args.format)) {
+    throw new Error(`Неизвестный формат вывода: ${args.format}. Доступны: ${FORMATS.join(", ")}`);
+  }
+
+  if (!REPORTS.includes(args.report)) {
+    throw new Error(`Неизвестный отчет: ${args.report}. Доступны: ${REPORTS.join(", ")}`);
+  }
+
+  if (args.curve !== undefined && args.targets === undefined) {
+    throw new Error("Параметр --curve требует --targets: без целей выполнение не рассчитать");
+  }
+
+  const analyzer = loadAnalyzer(MAIN_PATH);
+  const calculateRevenue = resolveStrategy(REVENUE_STRATEGIES, args.revenue, analyzer, "расчета выручки");
+  const readJson = (file) => JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  let baseBonus;
+  if (args.tiers !== undefined) {
+    baseBonus = analyzer.createTieredBonus(readJson(args.tiers));
+  } else if (args.brackets !== undefined) {
+    baseBonus = analyzer.createProgressiveBonus(readJson(args.brackets));
+  } else if (args.curve !== undefined) {
+    baseBonus = analyzer.createAttainmentBonus(readJson(args.curve));
+  } else {
+    baseBonus = resolveStrategy(BONUS_STRATEGIES, args.bonus, analyzer, "расчета бонусов");
+  }
+  const tenureBonus =
+    args.multipliers !== undefined || args.prorate
+      ? analyzer.createTenureBonus(baseBonus, {
+          multipliers: args.multipliers !== undefined ? parsePairs(args.multipliers) : undefined,
+          prorate: args.prorate,
+        })
+      : baseBonus;
+  const calculateBonus =
+    args.limits !== undefined
+      ? analyzer.createBonusLimits(tenureBonus, readJson(args.limits))
+      : tenureBonus;
+  const data = loadDataset(path.resolve(args.file));
+
+  if (args.report === "products") {
+    const products = analyzer.analyzeProducts(data, {
+      calculateRevenue,
+      from: args.from,
+      to: args.to,
+      sortBy: args.sort,
+    });
+    process.stdout.write(ROW_FORMATTERS[args.format](products) + "\n");
+    return;
+  }
+
+  if (args.report === "customers") {
+    const { customers, workplaces } = analyzer.analyzeCustomers(data, {
+      calculateRevenue,
+      from: args.from,
+      to: args.to,
+    });
+    writeWithSummary(
+      args.format,
+      { key: "customers", rows: customers, toTable: rowsToTable, toCsv: rowsToCsv },
+      { key: "workplaces", title: "Организации", rows: workplaces }
+    );
+    return;
+  }
+
+  if (args.report === "rfm") {
+    const { customers, sellers } = analyzer.analyzeRFM(data, {
+      calculateRevenue,
+      from: args.from,
+      to: args.to,
+      bins: args.bins !== undefined ? Number(args.bins) : undefined,
+    });
+    writeWithSummary(
+      args.format,
+      { key: "customers", rows: customers, toTable: rowsToTable, toCsv: rowsToCsv },
+      { key: "sellers", title: "Сегменты покупателей у продавцов", rows: sellers }
+    );
+    return;
+  }
+
+  const options = {
+    calculateRevenue,
+    calculateBonus,
+    from: args.from,
+    to: args.to,
+    validation: args.validation,
+    reconcile: args.reconcile,
+    ties: args.ties,
+    rankBy: args.rank !== undefined ? parseRankBy(args.rank) : undefined,
+    topProducts: {
+      limit: args.top !== undefined ? Number(args.top) : undefined,
+      by: args["top-by"],
+    },
+    trackLosses: args.losses,
+    byCategory: args.categories,
+    retention: args.retention,
+    tenure: args.tenure,
+    targets: args.targets !== undefined ? readJson(args.targets) : undefined,
+    targetMetric: args.metric,
+    teams: args.teams !== undefined ? readJson(args.teams) : undefined,
+    calculateTeamBonus:
+      args["team-bonus"] !== undefined
+        ? resolveStrategy(BONUS_STRATEGIES, args["team-bonus"], analyzer, "расчета бонусов")
+        : undefined,
+    explain: args.explain,
+    bonusPool:
+      args.pool !== undefined
+        ? { amount: Number(args.pool), distribution: args.distribution }
+        : undefined,
+  };
+
+  // Полный отчет за весь интервал: служебные разделы выводятся в stderr
+  const result = analyzer.analyzeSalesReport(data, options);
+
+  if (result.issues) {
+    reportIssues(result.issues);
+  }
+
+  if (result.discrepancies) {
+    result.discrepancies.forEach((discrepancy) => {
+      process.stderr.write(`sales-bonus: ${formatDiscrepancy(discrepancy)}\n`);
+    });
+  }
+
+  reportOrphans(result.orphans);
+
+  if (args["compare-from"] !== undefined || args["compare-to"] !== undefined) {
+    if (args.period !== undefined) {
+      throw new Error("Параметры --compare-from/--compare-to нельзя использовать вместе с --period");
+    }
+    const previous = analyzer.analyzeSalesData(data, {
+      ...options,
+      from: args["compare-from"],
+      to: args["compare-to"],
+    });
+    const comparison = analyzer.compareReports(result.sellers, previous);
+    // В json сравнение выводится как есть, в табличных форматах — плоскими столбцами
+    const rows = args.format === "json" ? comparison : toComparisonRows(comparison);
+    process.stdout.write(ROW_FORMATTERS[args.format](rows) + "\n");
+    return;
+  }
+
+  if (args.period !== undefined) {
+    const periods = analyzer.analyzeSalesDataByPeriod(data, { ...options, period: args.period });
+    process.stdout.write(PERIOD_FORMATTERS[args.format](periods) + "\n");
+    return;
+  }
+
+  const summaries = [
+    result.categories && { key: "categories", title: "Категории", rows: result.categories },
+    result.teams && { key: "teams", title: "Команды", rows: result.teams, toRows: toTeamRows },
+  ].filter(Boolean);
+
+  if (summaries.length > 0) {
+    writeWithSummary(
+      args.format,
+      { key: "sellers", rows: result.sellers, toTable: formatTable, toCsv: formatCsv },
+      ...summaries
+    );
+    return;
+  }
+
+  process.stdout.write(FORMATTERS[args.format](result.sellers) + "\n");
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  if (Array.isArray(error.issues)) {
+    reportIssues(error.issues);
+  }
+  // Ошибки анализа дополнительно сообщают код, по которому их можно различать в скриптах
+  const code = error.code && error.path !== undefined ? ` [${error.code}]` : "";
+  process.stderr.write(`sales-bonus: ${error.message}${code}\n`);
+  process.exitCode = 1;
+}
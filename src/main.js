@@ -20,18 +20,627 @@ function calculateSimpleRevenue(purchase, _product) {
  * @param index порядковый номер в отсортированном массиве
  * @param total общее число продавцов
  * @param seller карточка продавца
+ * @param _place место продавца в рейтинге
+ * @param explain необязательная функция для записи пояснений к расчету (режим explain)
  * @returns {number}
  */
 // Функция расчета бонусов на основе позиции в рейтинге
-function calculateBonusByProfit(index, total, seller) {
+function calculateBonusByProfit(index, total, seller, _place, explain) {
   // Расчет бонуса от позиции в рейтинге
   const { profit } = seller;
-  if (index === 0) return Math.round(profit * 0.15 * 100) / 100;
-  if (index === 1 || index === 2) return Math.round(profit * 0.10 * 100) / 100;
-  if (index !== total - 1) return Math.round(profit * 0.05 * 100) / 100;
+  const note = (percent, tier) => explain && explain({ base: profit, percent, tier });
+  if (index === 0) {
+    note(15, "1 место");
+    return Math.round(profit * 0.15 * 100) / 100;
+  }
+  if (index === 1 || index === 2) {
+    note(10, "2–3 место");
+    return Math.round(profit * 0.10 * 100) / 100;
+  }
+  if (index !== total - 1) {
+    note(5, "4 место и ниже");
+    return Math.round(profit * 0.05 * 100) / 100;
+  }
+  note(0, "последнее место");
   return 0;
 }
 
+/**
+ * Функция для создания стратегии бонусов по таблице уровней
+ * @param tiers правила в порядке проверки, срабатывает первое подходящее:
+ * { ranks: [от, до], percent } — места в рейтинге с 1, без "до" — все места начиная с "от";
+ * { percentile: [от, до], percent } — доля рейтинга в процентах, (от, до] от лидера;
+ * { last: true, percent } — последнее место
+ * @returns {function(index, total, seller, place, explain): number} функция для options.calculateBonus
+ */
+// Функция построения бонусной стратегии из декларативной таблицы процентов
+function createTieredBonus(tiers) {
+  if (!Array.isArray(tiers)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "tiers",
+      "Таблица уровней бонусов должна быть массивом"
+    );
+  }
+
+  const isRange = (range) =>
+    Array.isArray(range) &&
+    (range.length === 1 || range.length === 2) &&
+    range.every((bound) => typeof bound === "number" && !Number.isNaN(bound)) &&
+    (range.length === 1 || range[0] <= range[1]);
+
+  tiers.forEach((tier, i) => {
+    const conditions = ["ranks", "percentile", "last"].filter((key) => tier && tier[key] !== undefined);
+
+    if (conditions.length !== 1) {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        `tiers[${i}]`,
+        "Уровень бонуса должен содержать ровно одно из условий ranks, percentile или last"
+      );
+    }
+
+    if (conditions[0] !== "last" && !isRange(tier[conditions[0]])) {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        `tiers[${i}].${conditions[0]}`,
+        "Диапазон уровня бонуса задается как [от] или [от, до]"
+      );
+    }
+
+    if (conditions[0] === "last" && tier.last !== true) {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        `tiers[${i}].last`,
+        "Условие last должно быть равно true"
+      );
+    }
+
+    if (typeof tier.percent !== "number" || !(tier.percent >= 0)) {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        `tiers[${i}].percent`,
+        "Процент бонуса должен быть неотрицательным числом"
+      );
+    }
+  });
+
+  // Попадание в диапазон [от, до]; без верхней границы диапазон открыт
+  const inRange = (value, [low, high = Infinity], includeLow) =>
+    (includeLow ? value >= low : value > low) && value <= high;
+
+  // Описание уровня для пояснений к расчету
+  const describe = (tier) => {
+    if (tier.last) return "последнее место";
+    if (tier.ranks) {
+      const [low, high] = tier.ranks;
+      if (high === undefined) return `${low} место и ниже`;
+      return low === high ? `${low} место` : `${low}–${high} место`;
+    }
+    const [low, high = 100] = tier.percentile;
+    return `${low}–${high}% рейтинга`;
+  };
+
+  return function calculateTieredBonus(index, total, seller, _place, explain) {
+    const rank = index + 1;
+    const percentile = (rank / total) * 100;
+
+    const tier = tiers.find((candidate) => {
+      if (candidate.last) return rank === total;
+      if (candidate.ranks) return inRange(rank, candidate.ranks, true);
+      return inRange(percentile, candidate.percentile, false);
+    });
+
+    if (explain) {
+      explain({
+        base: seller.profit,
+        percent: tier ? tier.percent : 0,
+        tier: tier ? describe(tier) : "нет подходящего уровня",
+      });
+    }
+
+    if (!tier) return 0;
+    return Math.round(seller.profit * (tier.percent / 100) * 100) / 100;
+  };
+}
+
+/**
+ * Функция для создания стратегии прогрессивной комиссии
+ * @param scale шкала комиссии:
+ * base — от чего считается комиссия: "profit" (по умолчанию) или "revenue";
+ * brackets — ступени по возрастанию { from, percent }: percent применяется к части базы
+ * от from до from следующей ступени, ниже первой ступени комиссия не начисляется;
+ * positions — отдельные ступени для должностей, например { "Senior Seller": [...] }
+ * @returns {function(index, total, seller, place, explain): number} функция для options.calculateBonus
+ */
+// Функция расчета комиссии по ступеням прибыли или выручки независимо от места в рейтинге
+function createProgressiveBonus(scale) {
+  const { base = "profit", brackets, positions = {} } = scale || {};
+
+  if (base !== "profit" && base !== "revenue") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "scale.base",
+      "База комиссии base должна быть profit или revenue"
+    );
+  }
+
+  if (!positions || typeof positions !== "object" || Array.isArray(positions)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "scale.positions",
+      "Ступени по должностям positions должны быть объектом { должность: ступени }"
+    );
+  }
+
+  const assertBrackets = (list, path) => {
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        path,
+        "Ступени комиссии должны быть непустым массивом"
+      );
+    }
+
+    list.forEach((bracket, i) => {
+      const previous = list[i - 1];
+      if (
+        !bracket ||
+        typeof bracket.from !== "number" ||
+        !(bracket.from >= 0) ||
+        (previous && !(bracket.from > previous.from))
+      ) {
+        throw new OptionsError(
+          "INVALID_OPTION",
+          `${path}[${i}].from`,
+          "Границы ступеней from должны быть неотрицательными и возрастать"
+        );
+      }
+
+      if (typeof bracket.percent !== "number" || !(bracket.percent >= 0)) {
+        throw new OptionsError(
+          "INVALID_OPTION",
+          `${path}[${i}].percent`,
+          "Процент ступени должен быть неотрицательным числом"
+        );
+      }
+    });
+  };
+
+  assertBrackets(brackets, "scale.brackets");
+  Object.entries(positions).forEach(([position, list]) =>
+    assertBrackets(list, `scale.positions.${position}`)
+  );
+
+  return function calculateProgressiveBonus(index, total, seller, _place, explain) {
+    const amount = seller[base];
+    const scaleFor = Object.prototype.hasOwnProperty.call(positions, seller.position)
+      ? positions[seller.position]
+      : brackets;
+
+    // Каждая ступень облагает только свою часть базы
+    const parts = scaleFor.map((bracket, i) => {
+      const next = scaleFor[i + 1];
+      const upper = next ? Math.min(amount, next.from) : amount;
+      const portion = Math.max(upper - bracket.from, 0);
+      return {
+        ...bracket,
+        to: next ? next.from : null,
+        portion,
+        commission: portion * (bracket.percent / 100),
+      };
+    });
+
+    const commission = parts.reduce((sum, part) => sum + part.commission, 0);
+
+    if (explain) {
+      const applied = parts
+        .filter((part) => part.portion > 0)
+        .map((part) =>
+          part.to === null
+            ? `${part.percent}% от ${part.from}`
+            : `${part.percent}% ${part.from}–${part.to}`
+        );
+      explain({
+        base: amount,
+        percent: amount > 0 ? Number(((commission / amount) * 100).toFixed(4)) : 0,
+        tier: applied.length > 0 ? applied.join(", ") : "ниже первой ступени",
+      });
+    }
+
+    return Math.round(commission * 100) / 100;
+  };
+}
+
+/**
+ * Функция для создания стратегии бонусов за выполнение цели (см. options.targets)
+ * @param curve кривая выплаты:
+ * targetBonus — бонус при выполнении цели на 100%;
+ * threshold — минимальное выполнение в процентах, ниже которого бонус не начисляется (по умолчанию 0);
+ * до 100% бонус пропорционален выполнению;
+ * accelerator — множитель для перевыполнения: каждый процент сверх 100 приносит
+ * accelerator процентов targetBonus (по умолчанию 1);
+ * maxAttainment — выполнение в процентах, сверх которого бонус не растет (необязательно)
+ * @returns {function(index, total, seller, place, explain): number} функция для options.calculateBonus
+ */
+// Функция расчета бонуса по выполнению цели вместо места в рейтинге
+function createAttainmentBonus(curve) {
+  const { targetBonus, threshold = 0, accelerator = 1, maxAttainment } = curve || {};
+
+  if (typeof targetBonus !== "number" || !(targetBonus >= 0)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "curve.targetBonus",
+      "Бонус за выполнение цели targetBonus должен быть неотрицательным числом"
+    );
+  }
+
+  if (typeof threshold !== "number" || !(threshold >= 0 && threshold <= 100)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "curve.threshold",
+      "Порог выполнения threshold должен быть числом от 0 до 100"
+    );
+  }
+
+  if (typeof accelerator !== "number" || !(accelerator >= 0)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "curve.accelerator",
+      "Множитель перевыполнения accelerator должен быть неотрицательным числом"
+    );
+  }
+
+  if (maxAttainment !== undefined && (typeof maxAttainment !== "number" || !(maxAttainment >= 100))) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "curve.maxAttainment",
+      "Предел выполнения maxAttainment должен быть числом не меньше 100"
+    );
+  }
+
+  return function calculateAttainmentBonus(index, total, seller, _place, explain) {
+    const note = (percent, tier) => explain && explain({ base: targetBonus, percent, tier });
+
+    if (!seller.target) {
+      note(0, "цель не задана");
+      return 0;
+    }
+
+    const attained = seller.target.attainment * 100;
+    const counted = maxAttainment !== undefined ? Math.min(attained, maxAttainment) : attained;
+    const label = `выполнение ${attained.toFixed(2)}%`;
+
+    if (counted < threshold) {
+      note(0, `${label}, ниже порога ${threshold}%`);
+      return 0;
+    }
+
+    const payout = counted <= 100 ? counted : 100 + (counted - 100) * accelerator;
+    note(
+      Number(payout.toFixed(4)),
+      counted <= 100 ? label : `${label}, ускорение ×${accelerator} сверх 100%`
+    );
+    return Math.round(targetBonus * (payout / 100) * 100) / 100;
+  };
+}
+
+/**
+ * Функция для создания стратегии бонусов со штрафом за убыточные продажи
+ * @param calculateBonus исходная стратегия расчета бонусов
+ * @param policy правила штрафа:
+ * threshold — порог, после которого применяется штраф;
+ * measure — с чем сравнивается порог: "share" — доля убытка от выручки продавца (по умолчанию),
+ * "amount" — сумма убытка;
+ * penalty — "clawback" — бонус уменьшается на clawbackRate × сумма убытка (по умолчанию),
+ * "cap" — бонус ограничивается суммой cap;
+ * clawbackRate — доля убытка, удерживаемая из бонуса (по умолчанию 1);
+ * cap — максимальный бонус при превышении порога (по умолчанию 0)
+ * @returns {function(index, total, seller, place, explain): number} функция для options.calculateBonus
+ */
+// Функция удержания или ограничения бонуса при большом объеме продаж в убыток
+function createLossPenaltyBonus(calculateBonus, policy) {
+  if (typeof calculateBonus !== "function") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "calculateBonus",
+      "Исходная стратегия calculateBonus должна быть функцией"
+    );
+  }
+
+  const {
+    threshold,
+    measure = "share",
+    penalty = "clawback",
+    clawbackRate = 1,
+    cap = 0,
+  } = policy || {};
+
+  if (typeof threshold !== "number" || !(threshold >= 0)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "policy.threshold",
+      "Порог убыточных продаж threshold должен быть неотрицательным числом"
+    );
+  }
+
+  if (measure !== "share" && measure !== "amount") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "policy.measure",
+      "Мера убытка measure должна быть share или amount"
+    );
+  }
+
+  if (penalty !== "clawback" && penalty !== "cap") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "policy.penalty",
+      "Штраф penalty должен быть clawback или cap"
+    );
+  }
+
+  if (typeof clawbackRate !== "number" || !(clawbackRate >= 0)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "policy.clawbackRate",
+      "Доля удержания clawbackRate должна быть неотрицательным числом"
+    );
+  }
+
+  if (typeof cap !== "number" || !(cap >= 0)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "policy.cap",
+      "Ограничение cap должно быть неотрицательным числом"
+    );
+  }
+
+  return function calculateBonusWithLossPenalty(index, total, seller, place, explain) {
+    const bonus = calculateBonus(index, total, seller, place, explain);
+    const lossAmount = seller.losses ? seller.losses.amount : 0;
+    const revenueShare = seller.revenue > 0 ? lossAmount / seller.revenue : 0;
+    const loss = measure === "share" ? revenueShare : lossAmount;
+
+    if (loss <= threshold) return bonus;
+
+    const reason =
+      measure === "share"
+        ? `убыточные продажи ${(revenueShare * 100).toFixed(2)}% выручки, порог ${Number((threshold * 100).toFixed(2))}%`
+        : `убыточные продажи на ${lossAmount.toFixed(2)}, порог ${threshold}`;
+
+    if (penalty === "cap") {
+      const capped = Math.min(bonus, cap);
+      if (explain) {
+        explain({ adjustment: { type: "loss_cap", before: bonus, after: capped, reason } });
+      }
+      return capped;
+    }
+
+    // Удержание не делает бонус отрицательным
+    const clawback = Math.round(lossAmount * clawbackRate * 100) / 100;
+    const reduced = Math.max(bonus - clawback, Math.min(bonus, 0));
+    if (explain) {
+      explain({ adjustment: { type: "loss_clawback", before: bonus, after: reduced, reason } });
+    }
+    return reduced;
+  };
+}
+
+const BONUS_LIMIT_KEYS = ["maxBonus", "maxRevenuePercent", "minBonus", "minSales", "requireProfit"];
+
+/**
+ * Функция для создания стратегии бонусов с ограничениями и условиями допуска
+ * @param calculateBonus исходная стратегия расчета бонусов
+ * @param policy ограничения:
+ * maxBonus — максимальный бонус продавца;
+ * maxRevenuePercent — максимальный бонус в процентах от выручки продавца;
+ * minBonus — гарантированный минимальный бонус допущенного продавца (не сочетается с maxRevenuePercent);
+ * minSales — минимальное число продаж для получения бонуса;
+ * requireProfit — бонус получают только продавцы с положительной прибылью.
+ * Другие ключи не допускаются.
+ * Не прошедший условия продавец получает 0, причина попадает в отчет (поле disqualified)
+ * @returns {function(index, total, seller, place, explain): number} функция для options.calculateBonus
+ */
+// Функция ограничения бонуса сверху и снизу и проверки условий его получения
+function createBonusLimits(calculateBonus, policy) {
+  if (typeof calculateBonus !== "function") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "calculateBonus",
+      "Исходная стратегия calculateBonus должна быть функцией"
+    );
+  }
+
+  if (policy !== undefined && (!policy || typeof policy !== "object" || Array.isArray(policy))) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "policy",
+      "Ограничения policy должны быть объектом"
+    );
+  }
+
+  // Опечатка в имени ограничения иначе молча отключила бы его
+  const unknownKeys = Object.keys(policy || {}).filter((key) => !BONUS_LIMIT_KEYS.includes(key));
+
+  if (unknownKeys.length > 0) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "policy",
+      `Неизвестные ограничения: ${unknownKeys.join(", ")}. Доступны: ${BONUS_LIMIT_KEYS.join(", ")}`
+    );
+  }
+
+  const {
+    maxBonus,
+    maxRevenuePercent,
+    minBonus = 0,
+    minSales = 0,
+    requireProfit = false,
+  } = policy || {};
+
+  const limits = { maxBonus, maxRevenuePercent, minBonus, minSales };
+
+  Object.entries(limits).forEach(([name, value]) => {
+    if (value !== undefined && (typeof value !== "number" || !(value >= 0))) {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        `policy.${name}`,
+        `Ограничение ${name} должно быть неотрицательным числом`
+      );
+    }
+  });
+
+  if (maxBonus !== undefined && minBonus > maxBonus) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "policy.minBonus",
+      "Минимальный бонус minBonus не может превышать максимальный maxBonus"
+    );
+  }
+
+  // Предел в процентах от выручки зависит от продавца и может оказаться ниже минимума,
+  // поэтому гарантированный минимум с ним не сочетается
+  if (maxRevenuePercent !== undefined && minBonus > 0) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "policy.minBonus",
+      "Минимальный бонус minBonus нельзя сочетать с пределом maxRevenuePercent"
+    );
+  }
+
+  return function calculateLimitedBonus(index, total, seller, place, explain) {
+    const bonus = calculateBonus(index, total, seller, place, explain);
+
+    const reasons = [];
+    if (seller.sales_count < minSales) {
+      reasons.push(`продаж ${seller.sales_count}, требуется не менее ${minSales}`);
+    }
+    if (requireProfit && !(seller.profit > 0)) {
+      reasons.push("прибыль не положительная");
+    }
+
+    if (reasons.length > 0) {
+      if (explain) {
+        explain({
+          disqualified: reasons.join("; "),
+          adjustment: { type: "not_qualified", before: bonus, after: 0, reason: reasons.join("; ") },
+        });
+      }
+      return 0;
+    }
+
+    let result = bonus;
+
+    const adjust = (type, after, reason) => {
+      if (explain) {
+        explain({ adjustment: { type, before: result, after, reason } });
+      }
+      result = after;
+    };
+
+    if (result < minBonus) {
+      adjust("min_bonus", minBonus, `гарантированный минимум ${minBonus}`);
+    }
+
+    if (maxBonus !== undefined && result > maxBonus) {
+      adjust("max_bonus", maxBonus, `максимальный бонус ${maxBonus}`);
+    }
+
+    if (maxRevenuePercent !== undefined) {
+      const revenueCap = Math.floor(seller.revenue * maxRevenuePercent) / 100;
+      if (result > revenueCap) {
+        adjust("max_revenue_percent", revenueCap, `не более ${maxRevenuePercent}% выручки`);
+      }
+    }
+
+    return result;
+  };
+}
+
+/**
+ * Функция для создания стратегии бонусов с учетом должности и стажа продавца
+ * @param calculateBonus исходная стратегия расчета бонусов
+ * @param rules правила:
+ * multipliers — множители бонуса по должности, например { "Senior Seller": 1.2 }
+ * (для должностей без множителя — 1);
+ * prorate — пропорционально уменьшать бонус продавцу, начавшему работу внутри периода
+ * (доля рабочих дней из seller.tenure.share)
+ * @returns {function(index, total, seller, place, explain): number} функция для options.calculateBonus
+ */
+// Функция применения множителя должности и пропорционального расчета по стажу
+function createTenureBonus(calculateBonus, rules) {
+  if (typeof calculateBonus !== "function") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "calculateBonus",
+      "Исходная стратегия calculateBonus должна быть функцией"
+    );
+  }
+
+  const { multipliers = {}, prorate = false } = rules || {};
+
+  if (!multipliers || typeof multipliers !== "object" || Array.isArray(multipliers)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "rules.multipliers",
+      "Множители multipliers должны быть объектом { должность: множитель }"
+    );
+  }
+
+  Object.entries(multipliers).forEach(([position, multiplier]) => {
+    if (typeof multiplier !== "number" || !(multiplier >= 0)) {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        `rules.multipliers.${position}`,
+        `Множитель для должности ${position} должен быть неотрицательным числом`
+      );
+    }
+  });
+
+  return function calculateTenureBonus(index, total, seller, place, explain) {
+    let bonus = calculateBonus(index, total, seller, place, explain);
+
+    const multiplier = Object.prototype.hasOwnProperty.call(multipliers, seller.position)
+      ? multipliers[seller.position]
+      : 1;
+
+    if (multiplier !== 1) {
+      const multiplied = Math.round(bonus * multiplier * 100) / 100;
+      if (explain && multiplied !== bonus) {
+        explain({
+          adjustment: {
+            type: "position_multiplier",
+            before: bonus,
+            after: multiplied,
+            reason: `должность ${seller.position}: ×${multiplier}`,
+          },
+        });
+      }
+      bonus = multiplied;
+    }
+
+    const share = seller.tenure ? seller.tenure.share : 1;
+
+    if (prorate && share < 1) {
+      const prorated = Math.round(bonus * share * 100) / 100;
+      if (explain && prorated !== bonus) {
+        explain({
+          adjustment: {
+            type: "prorate",
+            before: bonus,
+            after: prorated,
+            reason: `работает с ${seller.start_date}: ${seller.tenure.active_days} из ${seller.tenure.period_days} дней периода`,
+          },
+        });
+      }
+      bonus = prorated;
+    }
+
+    return bonus;
+  };
+}
+
 /**
  * Функция для анализа данных продаж
  * @param data
@@ -43,66 +652,1198 @@ function calculateBonusByProfit(index, total, seller) {
 function naturalSKUCompare(a, b) {
     // Извлекаем числовую часть из SKU
     const getNumber = (sku) => parseInt(sku.replace('SKU_', ''), 10);
-    return getNumber(a) - getNumber(b);
+    // SKU другого формата или с одинаковым номером сравниваются как строки
+    return getNumber(a) - getNumber(b) || a.localeCompare(b);
+}
+
+/**
+ * Базовая ошибка анализа продаж
+ * @param code стабильный машиночитаемый код ошибки
+ * @param path путь к ошибочному значению, например purchase_records[12].items[0].sku
+ * @param message текст ошибки для пользователя
+ */
+// Ошибки несут код и путь, чтобы вызывающий код не разбирал текст сообщения
+class SalesAnalysisError extends Error {
+  constructor(code, path, message) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.path = path;
+  }
+}
+
+/**
+ * Ошибка во входных данных
+ * Коды: DATA_REQUIRED, INVALID_STRUCTURE, EMPTY_COLLECTION, INVALID_DATA
+ * @param issues список проблем validateSalesData (для INVALID_DATA)
+ */
+class DataValidationError extends SalesAnalysisError {
+  constructor(code, path, message, issues = []) {
+    super(code, path, message);
+    this.issues = issues;
+  }
+}
+
+/**
+ * Ошибка в настройках обработки
+ * Коды: OPTIONS_REQUIRED, INVALID_OPTION
+ */
+class OptionsError extends SalesAnalysisError {}
+
+// Объявления классов, в отличие от функций, не становятся свойствами глобального объекта,
+// поэтому без этого классы ошибок не видны при загрузке скрипта через vm или <script>
+globalThis.SalesAnalysisError = SalesAnalysisError;
+globalThis.DataValidationError = DataValidationError;
+globalThis.OptionsError = OptionsError;
+
+/**
+ * Функция для проверки даты в формате ISO (YYYY-MM-DD)
+ * @param value проверяемое значение
+ * @returns {boolean}
+ */
+// Функция проверки, что строка содержит существующую календарную дату
+function isValidISODate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  // Date сам переносит 2024-02-30 на 1 марта, поэтому сверяем дату обратно
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Функция для отбора чеков по периоду
+ * @param records записи о покупках
+ * @param from начало периода включительно (YYYY-MM-DD) или undefined
+ * @param to конец периода включительно (YYYY-MM-DD) или undefined
+ * @returns {object[]}
+ */
+// Функция фильтрации чеков по диапазону дат
+function filterRecordsByDate(records, from, to) {
+  // Даты в формате YYYY-MM-DD корректно сравниваются как строки
+  return records.filter(
+    (record) =>
+      (from === undefined || record.date >= from) &&
+      (to === undefined || record.date <= to)
+  );
+}
+
+/**
+ * Функция для сверки чека с суммами по позициям
+ * @param record запись о покупке
+ * @param itemsAmount выручка по позициям чека, рассчитанная calculateRevenue
+ * @param itemsDiscount скидка по позициям чека (полная цена минус выручка)
+ * @param tolerance допустимое расхождение
+ * @returns {object|null} описание расхождения или null, если чек сходится
+ */
+// Функция сверки total_amount и total_discount чека
+function reconcileReceipt(record, itemsAmount, itemsDiscount, tolerance) {
+  const amountDifference = Number((itemsAmount - record.total_amount).toFixed(2));
+  const discountDifference = Number((itemsDiscount - record.total_discount).toFixed(2));
+
+  if (
+    Math.abs(amountDifference) <= tolerance &&
+    Math.abs(discountDifference) <= tolerance
+  ) {
+    return null;
+  }
+
+  return {
+    receipt_id: record.receipt_id,
+    date: record.date,
+    seller_id: record.seller_id,
+    items_amount: Number(itemsAmount.toFixed(2)),
+    total_amount: record.total_amount,
+    amount_difference: amountDifference,
+    items_discount: Number(itemsDiscount.toFixed(2)),
+    total_discount: record.total_discount,
+    discount_difference: discountDifference,
+  };
+}
+
+/**
+ * Функция для проверки данных о продажах
+ * @param data данные о покупателях, товарах, продавцах и покупках
+ * @returns {{code: string, severity: string, path: string, message: string, record_index?: number, item_index?: number}[]}
+ */
+// Функция поиска всех проблем в данных вместо остановки на первой
+function validateSalesData(data) {
+  const issues = [];
+
+  // severity "error" — строка не может участвовать в расчете,
+  // "warning" — строка учитывается, но требует внимания
+  const report = (code, severity, path, message, location = {}) => {
+    issues.push({ code, severity, path, message, ...location });
+  };
+
+  if (!data || typeof data !== "object") {
+    report("INVALID_STRUCTURE", "error", "", "Данные обязательны для обработки");
+    return issues;
+  }
+
+  const collections = ["customers", "products", "sellers", "purchase_records"];
+
+  collections.forEach((name) => {
+    if (!Array.isArray(data[name])) {
+      report("INVALID_STRUCTURE", "error", name, `Коллекция ${name} должна быть массивом`);
+    } else if (data[name].length === 0) {
+      report("EMPTY_COLLECTION", "error", name, `Коллекция ${name} не содержит элементов`);
+    }
+  });
+
+  if (!Array.isArray(data.purchase_records)) {
+    return issues;
+  }
+
+  const isObject = (value) => Boolean(value) && typeof value === "object";
+
+  // Записи справочника, не являющиеся объектами, не попадают в индекс
+  const asIndex = (name, key) =>
+    (Array.isArray(data[name]) ? data[name] : []).reduce((result, entry, entryIndex) => {
+      if (!isObject(entry)) {
+        report("INVALID_STRUCTURE", "error", `${name}[${entryIndex}]`, "Запись справочника должна быть объектом");
+        return result;
+      }
+      return {
+        ...result,
+        [entry[key]]: entry,
+      };
+    }, {});
+
+  const customerIndex = asIndex("customers", "id");
+  const productIndex = asIndex("products", "sku");
+  const sellerIndex = asIndex("sellers", "id");
+  const seenReceipts = {};
+
+  data.purchase_records.forEach((record, recordIndex) => {
+    const path = `purchase_records[${recordIndex}]`;
+    const location = { record_index: recordIndex };
+
+    if (!isObject(record)) {
+      report("INVALID_STRUCTURE", "error", path, "Запись о покупке должна быть объектом", location);
+      return;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(seenReceipts, record.receipt_id)) {
+      report(
+        "DUPLICATE_RECEIPT",
+        "error",
+        `${path}.receipt_id`,
+        `Чек ${record.receipt_id} уже встречался в purchase_records[${seenReceipts[record.receipt_id]}]`,
+        location
+      );
+    } else {
+      seenReceipts[record.receipt_id] = recordIndex;
+    }
+
+    if (!isValidISODate(record.date)) {
+      report("INVALID_DATE", "error", `${path}.date`, `Некорректная дата чека: ${record.date}`, location);
+    }
+
+    if (!sellerIndex[record.seller_id]) {
+      report("UNKNOWN_SELLER", "error", `${path}.seller_id`, `Неизвестный продавец: ${record.seller_id}`, location);
+    }
+
+    if (!customerIndex[record.customer_id]) {
+      report("UNKNOWN_CUSTOMER", "error", `${path}.customer_id`, `Неизвестный покупатель: ${record.customer_id}`, location);
+    }
+
+    if (!Array.isArray(record.items)) {
+      report("INVALID_STRUCTURE", "error", `${path}.items`, "Позиции чека должны быть массивом", location);
+      return;
+    }
+
+    record.items.forEach((item, itemIndex) => {
+      const itemPath = `${path}.items[${itemIndex}]`;
+      const itemLocation = { record_index: recordIndex, item_index: itemIndex };
+
+      if (!isObject(item)) {
+        report("INVALID_STRUCTURE", "error", itemPath, "Позиция чека должна быть объектом", itemLocation);
+        return;
+      }
+
+      const product = productIndex[item.sku];
+
+      if (!product) {
+        report("UNKNOWN_SKU", "error", `${itemPath}.sku`, `Неизвестный товар: ${item.sku}`, itemLocation);
+      }
+
+      if (typeof item.quantity !== "number" || !(item.quantity >= 0)) {
+        report("INVALID_QUANTITY", "error", `${itemPath}.quantity`, `Некорректное количество: ${item.quantity}`, itemLocation);
+      }
+
+      if (typeof item.discount !== "number" || !(item.discount >= 0 && item.discount <= 100)) {
+        report("INVALID_DISCOUNT", "error", `${itemPath}.discount`, `Скидка вне диапазона 0–100: ${item.discount}`, itemLocation);
+      }
+
+      if (product && item.sale_price !== product.sale_price) {
+        report(
+          "PRICE_MISMATCH",
+          "warning",
+          `${itemPath}.sale_price`,
+          `Цена продажи ${item.sale_price} отличается от цены каталога ${product.sale_price}`,
+          itemLocation
+        );
+      }
+    });
+  });
+
+  return issues;
+}
+
+// Ошибки, строки с которыми в нестрогом режиме попадают в orphans, а не исключаются
+const ORPHAN_ISSUE_CODES = ["UNKNOWN_SELLER", "UNKNOWN_SKU"];
+
+/**
+ * Функция для исключения строк с ошибками из расчета
+ * (кроме неизвестных продавцов и товаров — они учитываются в orphans)
+ * @param records записи о покупках
+ * @param issues результат validateSalesData
+ * @returns {{records: object[], indexes: number[]}} чеки без ошибочных записей и позиций
+ * и их номера в исходном массиве (для ссылок на строки в issues)
+ */
+// Функция отбора корректных чеков и позиций для нестрогого режима
+function excludeInvalidRows(records, issues) {
+  const skippedRecords = new Set();
+  const skippedItems = new Set();
+
+  // Чеки с неизвестным продавцом и позиции с неизвестным товаром не отбрасываются:
+  // расчет сам выносит их в orphans, иначе они пропали бы из отчета бесследно
+  issues
+    .filter(
+      (issue) =>
+        issue.severity === "error" &&
+        issue.record_index !== undefined &&
+        !ORPHAN_ISSUE_CODES.includes(issue.code)
+    )
+    .forEach((issue) => {
+      if (issue.item_index === undefined) {
+        skippedRecords.add(issue.record_index);
+      } else {
+        skippedItems.add(`${issue.record_index}:${issue.item_index}`);
+      }
+    });
+
+  // Сначала отбрасываются чеки целиком: у них позиций может не быть вовсе
+  const indexes = records
+    .map((_record, recordIndex) => recordIndex)
+    .filter((recordIndex) => !skippedRecords.has(recordIndex));
+
+  return {
+    records: indexes.map((recordIndex) => {
+      const record = records[recordIndex];
+      return Array.isArray(record.items)
+        ? {
+            ...record,
+            items: record.items.filter(
+              (_item, itemIndex) => !skippedItems.has(`${recordIndex}:${itemIndex}`)
+            ),
+          }
+        : record;
+    }),
+    indexes,
+  };
+}
+
+/**
+ * Функция для исключения чеков, датированных раньше начала работы продавца
+ * @param records записи о покупках
+ * @param indexes номера записей в исходном data.purchase_records
+ * @param startDates даты начала работы { seller_id: start_date }
+ * @param from начало периода отчета (YYYY-MM-DD), необязательно
+ * @param to конец периода отчета (YYYY-MM-DD), необязательно
+ * @returns {{records: object[], issues: object[]}} оставшиеся чеки и предупреждения
+ * SALE_BEFORE_START_DATE — только для исключенных чеков, попадающих в период отчета
+ */
+// Функция отбора чеков по start_date продавца
+function excludeSalesBeforeStart(records, indexes, startDates, from, to) {
+  const issues = [];
+
+  const kept = records.filter((record, position) => {
+    const startDate = startDates[record.seller_id];
+    if (!startDate || record.date >= startDate) {
+      return true;
+    }
+
+    if (filterRecordsByDate([record], from, to).length > 0) {
+      issues.push({
+        code: "SALE_BEFORE_START_DATE",
+        severity: "warning",
+        path: `purchase_records[${indexes[position]}].date`,
+        message: `Чек ${record.receipt_id} от ${record.date} раньше начала работы продавца ${record.seller_id} (${startDate}), исключен из расчета`,
+        record_index: indexes[position],
+      });
+    }
+    return false;
+  });
+
+  return { records: kept, issues };
+}
+
+/**
+ * Функция для подсчета дней в интервале
+ * @param from начало интервала включительно (YYYY-MM-DD)
+ * @param to конец интервала включительно (YYYY-MM-DD)
+ * @returns {number} число дней, 0 для пустого интервала
+ */
+// Функция подсчета календарных дней между датами включительно
+function countDays(from, to) {
+  if (from > to) return 0;
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000) + 1;
+}
+
+/**
+ * Функция для расчета доли периода, которую продавец проработал
+ * @param startDate дата начала работы продавца (YYYY-MM-DD) или undefined
+ * @param from начало периода (YYYY-MM-DD)
+ * @param to конец периода (YYYY-MM-DD)
+ * @returns {{active_days: number, period_days: number, share: number}}
+ */
+// Функция подсчета рабочих дней продавца внутри периода
+function getTenureShare(startDate, from, to) {
+  const periodDays = countDays(from, to);
+  const activeFrom = startDate && startDate > from ? startDate : from;
+  const activeDays = countDays(activeFrom, to);
+
+  return {
+    active_days: activeDays,
+    period_days: periodDays,
+    share: periodDays > 0 ? activeDays / periodDays : 1,
+  };
+}
+
+/**
+ * Функция для округления суммы вниз до копеек
+ * @param value сумма
+ * @returns {number}
+ */
+// Функция отбрасывания долей копейки без ошибки двоичного представления (0.29 * 100 = 28.999…)
+function floorToCents(value) {
+  return Math.floor(Number((value * 100).toFixed(6))) / 100;
+}
+
+/**
+ * Функция для проверки целей продавцов
+ * @param targets настройки options.targets: { seller_id: { период: сумма } }
+ */
+// Функция проверки меток периодов и сумм целей
+function validateTargets(targets) {
+  if (!targets || typeof targets !== "object" || Array.isArray(targets)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.targets",
+      "Цели targets должны быть объектом { seller_id: { период: сумма } }"
+    );
+  }
+
+  Object.entries(targets).forEach(([sellerId, periods]) => {
+    if (!periods || typeof periods !== "object" || Array.isArray(periods)) {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        `options.targets.${sellerId}`,
+        `Цели продавца ${sellerId} должны быть объектом { период: сумма }`
+      );
+    }
+
+    Object.entries(periods).forEach(([label, amount]) => {
+      if (!getPeriodByLabel(label)) {
+        throw new OptionsError(
+          "INVALID_OPTION",
+          `options.targets.${sellerId}.${label}`,
+          `Неизвестный период цели: ${label} (ожидается YYYY-MM, YYYY-Qn или YYYY-Wnn)`
+        );
+      }
+
+      if (typeof amount !== "number" || !(amount > 0)) {
+        throw new OptionsError(
+          "INVALID_OPTION",
+          `options.targets.${sellerId}.${label}`,
+          "Сумма цели должна быть положительным числом"
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Функция для проверки настроек top_products
+ * @param limit число товаров в списке
+ * @param by показатель: "quantity", "revenue" или "profit"
+ * @param tieBreak порядок товаров с равным показателем: "sku" или "revenue"
+ */
+// Функция проверки размера и порядка списка лучших товаров продавца
+function validateTopProducts(limit, by, tieBreak) {
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.topProducts.limit",
+      "Размер топа товаров limit должен быть неотрицательным целым числом"
+    );
+  }
+
+  if (!["quantity", "revenue", "profit"].includes(by)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.topProducts.by",
+      "Показатель топа товаров by должен быть quantity, revenue или profit"
+    );
+  }
+
+  if (tieBreak !== "sku" && tieBreak !== "revenue") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.topProducts.tieBreak",
+      "Порядок равных товаров tieBreak должен быть sku или revenue"
+    );
+  }
+}
+
+/**
+ * Функция для проверки команд продавцов и стратегии командного бонуса
+ * @param teams настройки options.teams: { seller_id: команда }
+ * @param calculateTeamBonus настройки options.calculateTeamBonus
+ */
+// Функция проверки привязки продавцов к командам
+function validateTeams(teams, calculateTeamBonus) {
+  if (teams !== undefined) {
+    if (!teams || typeof teams !== "object" || Array.isArray(teams)) {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        "options.teams",
+        "Команды teams должны быть объектом { seller_id: команда }"
+      );
+    }
+
+    Object.entries(teams).forEach(([sellerId, team]) => {
+      if (typeof team !== "string" || team === "") {
+        throw new OptionsError(
+          "INVALID_OPTION",
+          `options.teams.${sellerId}`,
+          `Команда продавца ${sellerId} должна быть непустой строкой`
+        );
+      }
+    });
+  }
+
+  if (calculateTeamBonus !== undefined) {
+    if (typeof calculateTeamBonus !== "function") {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        "options.calculateTeamBonus",
+        "Стратегия calculateTeamBonus должна быть функцией"
+      );
+    }
+
+    if (teams === undefined) {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        "options.teams",
+        "Для командного бонуса calculateTeamBonus нужны команды teams"
+      );
+    }
+  }
+}
+
+/**
+ * Функция для проверки настроек фонда бонусов
+ * @param bonusPool настройки options.bonusPool
+ */
+// Функция проверки суммы фонда и способа распределения
+function validateBonusPool(bonusPool) {
+  const { amount, distribution = "profit", profitWeight = 0.5, rankWeights } = bonusPool || {};
+
+  if (typeof amount !== "number" || !(amount >= 0)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.bonusPool.amount",
+      "Сумма фонда бонусов должна быть неотрицательным числом"
+    );
+  }
+
+  // Фонд делится по копейкам, поэтому доли копейки в нем не распределить
+  if (Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.bonusPool.amount",
+      "Сумма фонда бонусов должна содержать не больше двух знаков после запятой"
+    );
+  }
+
+  if (!["profit", "rank", "mix"].includes(distribution)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.bonusPool.distribution",
+      "Способ распределения фонда должен быть profit, rank или mix"
+    );
+  }
+
+  if (typeof profitWeight !== "number" || !(profitWeight >= 0 && profitWeight <= 1)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.bonusPool.profitWeight",
+      "Доля распределения по прибыли profitWeight должна быть от 0 до 1"
+    );
+  }
+
+  if (
+    rankWeights !== undefined &&
+    !(Array.isArray(rankWeights) && rankWeights.every((weight) => typeof weight === "number" && weight >= 0))
+  ) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.bonusPool.rankWeights",
+      "Веса мест rankWeights должны быть массивом неотрицательных чисел"
+    );
+  }
+}
+
+/**
+ * Функция для распределения фиксированного фонда бонусов
+ * @param sellers статистика продавцов в порядке рейтинга
+ * @param places места продавцов, результат rankSellers
+ * @param bonusPool настройки фонда:
+ * amount — сумма фонда;
+ * distribution — "profit" (пропорционально положительной прибыли), "rank" (по весам мест) или "mix";
+ * profitWeight — доля фонда, распределяемая по прибыли в режиме mix (по умолчанию 0.5);
+ * rankWeights — веса мест начиная с первого, по умолчанию n, n-1, …, 1
+ * @returns {number[]} бонусы в копейках, сумма которых равна фонду
+ */
+// Функция распределения фонда бонусов методом наибольшего остатка
+function distributeBonusPool(sellers, places, bonusPool) {
+  const { amount, distribution = "profit", profitWeight = 0.5, rankWeights } = bonusPool;
+
+  const total = sellers.length;
+
+  // Доли продавцов нормируются к 1; если все веса нулевые, фонд делится поровну
+  const normalize = (weights) => {
+    const sum = weights.reduce((result, weight) => result + weight, 0);
+    return weights.map((weight) => (sum > 0 ? weight / sum : 1 / total));
+  };
+
+  const profitShares = normalize(sellers.map((seller) => Math.max(seller.profit, 0)));
+  const rankShares = normalize(
+    places.map((place) =>
+      rankWeights ? rankWeights[place.rank - 1] || 0 : total - place.rank + 1
+    )
+  );
+
+  const mix = { profit: 1, rank: 0, mix: profitWeight }[distribution];
+  const shares = profitShares.map((share, i) => mix * share + (1 - mix) * rankShares[i]);
+
+  return splitByShares(amount, shares);
+}
+
+/**
+ * Функция для раздела суммы по долям с точностью до копейки
+ * @param amount сумма
+ * @param shares доли получателей, в сумме 1
+ * @returns {number[]} части суммы, в сумме равные amount
+ */
+// Функция раздела суммы методом наибольшего остатка
+function splitByShares(amount, shares) {
+  const totalCents = Math.round(amount * 100);
+
+  // Каждому достается целое число копеек, оставшиеся копейки получают
+  // те, у кого отброшенная доля больше, — сумма частей совпадает с исходной
+  const exact = shares.map((share) => share * totalCents);
+  const cents = exact.map((value) => Math.floor(value));
+  let remainder = totalCents - cents.reduce((sum, value) => sum + value, 0);
+
+  exact
+    .map((value, position) => ({ position, fraction: value - cents[position] }))
+    .sort((a, b) => b.fraction - a.fraction || a.position - b.position)
+    .forEach(({ position }) => {
+      if (remainder > 0) {
+        cents[position] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return cents.map((value) => value / 100);
+}
+
+/**
+ * Функция для сводки продаж по командам (магазинам) и раздела командного бонуса
+ * @param sellers статистика продавцов в порядке рейтинга
+ * @param teams команда каждого продавца { seller_id: команда }, продавцы без команды не учитываются
+ * @param calculateTeamBonus стратегия бонуса команды с сигнатурой calculateBonus: получает место
+ * команды, число команд и итоги команды { id, name, revenue, profit, sales_count, members };
+ * без нее бонус не рассчитывается
+ * @returns {{team, rank, revenue, profit, sales_count, bonus?, members: {seller_id, share, bonus?}[]}[]}
+ */
+// Функция суммирования итогов команд, их рейтинга и раздела бонуса по вкладу участников
+function summarizeTeams(sellers, teams, calculateTeamBonus) {
+  const summary = {};
+
+  sellers.forEach((seller) => {
+    const team = teams[seller.id];
+    if (team === undefined) return;
+
+    if (!summary[team]) {
+      summary[team] = { id: team, name: team, revenue: 0, profit: 0, sales_count: 0, members: [] };
+    }
+    const entry = summary[team];
+    entry.revenue += seller.revenue;
+    entry.profit += seller.profit;
+    entry.sales_count += seller.sales_count;
+    entry.members.push(seller);
+  });
+
+  const ranked = Object.values(summary).sort(
+    (a, b) => b.profit - a.profit || a.name.localeCompare(b.name)
+  );
+
+  return ranked.map((team, index) => {
+    // Вклад участника — доля в положительной прибыли команды, без прибыли — поровну
+    const contributions = team.members.map((member) => Math.max(member.profit, 0));
+    const sum = contributions.reduce((result, value) => result + value, 0);
+    const shares = contributions.map((value) => (sum > 0 ? value / sum : 1 / contributions.length));
+
+    const bonus = calculateTeamBonus
+      ? floorToCents(calculateTeamBonus(index, ranked.length, team))
+      : undefined;
+    const memberBonuses = calculateTeamBonus ? splitByShares(bonus, shares) : [];
+
+    return {
+      team: team.name,
+      rank: index + 1,
+      revenue: Number(team.revenue.toFixed(2)),
+      profit: Number(team.profit.toFixed(2)),
+      sales_count: team.sales_count,
+      ...(calculateTeamBonus && { bonus }),
+      members: team.members.map((member, position) => ({
+        seller_id: member.id,
+        share: Number(shares[position].toFixed(4)),
+        ...(calculateTeamBonus && { bonus: memberBonuses[position] }),
+      })),
+    };
+  });
+}
+
+/**
+ * Функция для сводки продаж по категориям товаров всего магазина
+ * @param sellers статистика продавцов с разбивкой по категориям
+ * @returns {{category, revenue, profit, quantity, top_seller_id}[]}
+ */
+// Функция суммирования категорий по всем продавцам с лидером каждой категории
+function summarizeCategories(sellers) {
+  const summary = {};
+
+  sellers.forEach((seller) => {
+    Object.entries(seller.categories).forEach(([category, stats]) => {
+      if (!summary[category]) {
+        summary[category] = { revenue: 0, profit: 0, quantity: 0, top_seller: null };
+      }
+      const entry = summary[category];
+      entry.revenue += stats.revenue;
+      entry.profit += stats.profit;
+      entry.quantity += stats.quantity;
+
+      if (!entry.top_seller || stats.revenue > entry.top_seller.revenue) {
+        entry.top_seller = { id: seller.id, revenue: stats.revenue };
+      }
+    });
+  });
+
+  return Object.entries(summary)
+    .map(([category, entry]) => ({
+      category,
+      revenue: Number(entry.revenue.toFixed(2)),
+      profit: Number(entry.profit.toFixed(2)),
+      quantity: entry.quantity,
+      top_seller_id: entry.top_seller.id,
+    }))
+    .sort((a, b) => b.revenue - a.revenue || a.category.localeCompare(b.category));
+}
+
+/**
+ * Функция для расчета показателя, по которому строится рейтинг продавца
+ * @param seller статистика продавца
+ * @returns {number}
+ */
+// Функция выбора основного ключа рейтинга: оценка по rankBy или прибыль
+function getRankingValue(seller) {
+  // Значения округляются, чтобы погрешность сложения дробных чисел
+  // не разбивала равные результаты: прибыль до копейки, оценка до 1e-9
+  if (seller.score !== undefined) {
+    return Math.round(seller.score * 1e9);
+  }
+  return Math.round(seller.profit * 100);
+}
+
+/**
+ * Функция для сравнения продавцов при сортировке рейтинга
+ * @param a статистика продавца
+ * @param b статистика продавца
+ * @returns {number}
+ */
+// Функция упорядочивания: оценка или прибыль, затем прибыль, выручка, число продаж и id продавца
+function compareSellers(a, b) {
+  const cents = (value) => Math.round(value * 100);
+  return (
+    getRankingValue(b) - getRankingValue(a) ||
+    cents(b.profit) - cents(a.profit) ||
+    cents(b.revenue) - cents(a.revenue) ||
+    b.sales_count - a.sales_count ||
+    String(a.id).localeCompare(String(b.id))
+  );
+}
+
+/**
+ * Функция для расчета показателей продавца, доступных для rankBy
+ * @param seller статистика продавца
+ * @returns {{profit, revenue, sales_count, average_receipt, margin}}
+ */
+// Функция сбора показателей продавца для ранжирования
+function getSellerMetrics(seller) {
+  return {
+    profit: seller.profit,
+    revenue: seller.revenue,
+    sales_count: seller.sales_count,
+    average_receipt: seller.sales_count > 0 ? seller.revenue / seller.sales_count : 0,
+    margin: seller.revenue > 0 ? (seller.profit / seller.revenue) * 100 : 0,
+  };
+}
+
+const RANKING_METRICS = ["profit", "revenue", "sales_count", "average_receipt", "margin"];
+
+/**
+ * Функция для проверки и приведения rankBy к весам показателей
+ * @param rankBy имя показателя или объект { показатель: вес }
+ * @returns {object} веса показателей с суммой 1
+ */
+// Функция нормализации настройки rankBy
+function normalizeRankBy(rankBy) {
+  const weights = typeof rankBy === "string" ? { [rankBy]: 1 } : rankBy;
+
+  if (!weights || typeof weights !== "object" || Object.keys(weights).length === 0) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.rankBy",
+      `Ранжирование rankBy задается именем показателя (${RANKING_METRICS.join(", ")}) или объектом весов`
+    );
+  }
+
+  Object.entries(weights).forEach(([metric, weight]) => {
+    if (!RANKING_METRICS.includes(metric)) {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        `options.rankBy.${metric}`,
+        `Неизвестный показатель ${metric}, доступны: ${RANKING_METRICS.join(", ")}`
+      );
+    }
+    if (typeof weight !== "number" || !(weight >= 0)) {
+      throw new OptionsError(
+        "INVALID_OPTION",
+        `options.rankBy.${metric}`,
+        "Вес показателя должен быть неотрицательным числом"
+      );
+    }
+  });
+
+  const sum = Object.values(weights).reduce((result, weight) => result + weight, 0);
+
+  if (sum === 0) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.rankBy",
+      "Сумма весов показателей должна быть больше 0"
+    );
+  }
+
+  return Object.entries(weights).reduce(
+    (result, [metric, weight]) => ({
+      ...result,
+      [metric]: weight / sum,
+    }),
+    {}
+  );
+}
+
+/**
+ * Функция для расчета оценки продавцов по взвешенным показателям
+ * @param sellers статистика продавцов
+ * @param weights веса показателей, результат normalizeRankBy
+ */
+// Функция записи в статистику продавца оценки score и вклада каждого показателя
+function scoreSellers(sellers, weights) {
+  const metrics = sellers.map(getSellerMetrics);
+
+  // Показатели приводятся к шкале 0–1 относительно худшего и лучшего продавца;
+  // если у всех значение одинаковое, показатель не различает продавцов и дает 1
+  const scales = Object.keys(weights).reduce((result, metric) => {
+    const values = metrics.map((entry) => entry[metric]);
+    return {
+      ...result,
+      [metric]: { min: Math.min(...values), max: Math.max(...values) },
+    };
+  }, {});
+
+  sellers.forEach((seller, i) => {
+    seller.score_details = Object.entries(weights).reduce((result, [metric, weight]) => {
+      const { min, max } = scales[metric];
+      const normalized = max > min ? (metrics[i][metric] - min) / (max - min) : 1;
+      return {
+        ...result,
+        [metric]: weight * normalized,
+      };
+    }, {});
+    seller.score = Object.values(seller.score_details).reduce((sum, value) => sum + value, 0);
+  });
+}
+
+/**
+ * Функция для расчета мест в рейтинге с учетом равных результатов
+ * @param sellers статистика продавцов, отсортированная compareSellers
+ * @param ties правило для равной прибыли (или оценки при rankBy): undefined — место по позиции в массиве,
+ * "dense" — 1, 2, 2, 3, "competition" — 1, 2, 2, 4, "shared" — как competition,
+ * но бонусы занятых группой мест складываются и делятся поровну
+ * @returns {{rank: number, index: number, total: number, position: number, tie_start: number, tie_size: number}[]}
+ */
+// Функция определения мест продавцов и параметров для calculateBonus
+function rankSellers(sellers, ties) {
+  const groups = [];
+
+  sellers.forEach((seller, position) => {
+    const group = groups[groups.length - 1];
+    if (group && getRankingValue(sellers[group.start]) === getRankingValue(seller)) {
+      group.size += 1;
+    } else {
+      groups.push({ start: position, size: 1 });
+    }
+  });
+
+  return groups.flatMap((group, groupNumber) =>
+    Array.from({ length: group.size }, (_value, offset) => {
+      const position = group.start + offset;
+      const place = {
+        position,
+        tie_start: group.start,
+        tie_size: group.size,
+      };
+
+      if (ties === "dense") {
+        return { ...place, rank: groupNumber + 1, index: groupNumber, total: groups.length };
+      }
+
+      if (ties === "competition" || ties === "shared") {
+        return { ...place, rank: group.start + 1, index: group.start, total: sellers.length };
+      }
+
+      return { ...place, rank: position + 1, index: position, total: sellers.length };
+    })
+  );
+}
+
+/**
+ * Функция для проверки структуры данных о продажах
+ * @param data данные о покупателях, товарах, продавцах и покупках
+ */
+// Функция проверки, что все коллекции данных присутствуют и не пусты
+function assertSalesData(data) {
+  if (!data) {
+    throw new DataValidationError("DATA_REQUIRED", "", "Данные обязательны для обработки");
+  }
+
+  const collections = ["customers", "products", "sellers", "purchase_records"];
+
+  const missingCollection = collections.find((name) => !data[name]);
+  if (missingCollection) {
+    throw new DataValidationError(
+      "INVALID_STRUCTURE",
+      missingCollection,
+      "Неверная структура данных"
+    );
+  }
+
+  const emptyCollection = collections.find((name) => data[name].length === 0);
+  if (emptyCollection) {
+    throw new DataValidationError(
+      "EMPTY_COLLECTION",
+      emptyCollection,
+      "Все массивы данных должны содержать хотя бы один элемент"
+    );
+  }
+}
+
+/**
+ * Функция для проверки границ периода
+ * @param from начало периода (YYYY-MM-DD) или undefined
+ * @param to конец периода (YYYY-MM-DD) или undefined
+ */
+// Функция проверки, что границы периода — существующие даты и идут по порядку
+function assertPeriodBounds(from, to) {
+  if (from !== undefined && !isValidISODate(from)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.from",
+      "Начало периода from должно быть датой в формате YYYY-MM-DD"
+    );
+  }
+
+  if (to !== undefined && !isValidISODate(to)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.to",
+      "Конец периода to должен быть датой в формате YYYY-MM-DD"
+    );
+  }
+
+  if (from !== undefined && to !== undefined && from > to) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.from",
+      "Начало периода from не может быть позже конца периода to"
+    );
+  }
 }
 
 /**
  * Функция для анализа данных продаж
  * @param data
  * @param options
+ * @param options.from начало периода включительно (YYYY-MM-DD), необязательно
+ * @param options.to конец периода включительно (YYYY-MM-DD), необязательно
+ * @param options.ties правило мест при равной прибыли: "dense", "competition" или "shared",
+ * с ним в отчет добавляется поле rank
+ * @param options.bonusPool фиксированный фонд бонусов { amount, distribution, profitWeight, rankWeights },
+ * распределяется вместо calculateBonus (см. distributeBonusPool)
+ * @param options.tenure учитывать стаж: чеки раньше start_date продавца исключаются
+ * с предупреждением SALE_BEFORE_START_DATE в issues, в отчет добавляются position, start_date
+ * и tenure — рабочие дни продавца в периоде и их доля. Должность и стаж всегда доступны
+ * стратегии calculateBonus в seller.position, seller.start_date и seller.tenure (см. createTenureBonus)
+ * @param options.targets цели продавцов { seller_id: { период: сумма } }, период — метка месяца,
+ * квартала или недели ("2024-03", "2024-Q1", "2024-W05"); цель на отчет — сумма целей периодов,
+ * взятых пропорционально числу их дней внутри периода отчета. В отчет добавляется target с процентом выполнения,
+ * стратегии calculateBonus он доступен в seller.target (см. createAttainmentBonus)
+ * @param options.targetMetric показатель целей: "profit" (по умолчанию) или "revenue"
+ * @param options.teams команда или магазин каждого продавца { seller_id: команда }; в отчет добавляется
+ * поле team, а в analyzeSalesReport — раздел teams с итогами и рейтингом команд по прибыли
+ * @param options.calculateTeamBonus стратегия бонуса команды (сигнатура как у calculateBonus,
+ * вместо продавца — итоги команды); бонус команды делится между участниками пропорционально
+ * их прибыли и выводится в поле team_bonus отдельно от индивидуального bonus
+ * @param options.topProducts настройки top_products: limit — число товаров (по умолчанию 10),
+ * by — показатель: "quantity" (по умолчанию), "revenue" или "profit" (значение добавляется к товару),
+ * tieBreak — порядок товаров с равным показателем: "sku" (естественный порядок SKU, по умолчанию)
+ * или "revenue" (по убыванию выручки, затем по SKU)
+ * @param options.explain добавить в отчет bonus_details: место, база, процент и уровень,
+ * корректировки (удержания, ограничения, деление фонда) и округление итогового бонуса.
+ * Стратегия calculateBonus получает пятым аргументом функцию explain для записи пояснений;
+ * причина, по которой продавец не допущен к бонусу (см. createBonusLimits), выводится в поле
+ * disqualified и без режима explain
+ * @param options.rankBy показатель рейтинга (profit, revenue, sales_count, average_receipt, margin)
+ * или объект весов { показатель: вес }; с ним в отчет добавляются rank, score и score_details
+ * с вкладом каждого нормированного показателя
+ * @param options.retention добавить в отчет раздел retention: уникальные, повторные и новые покупатели;
+ * { referenceDate } задает дату, с которой покупатель считается новым (по умолчанию from;
+ * без from и referenceDate new_customers равно null).
+ * Показатели удержания всегда доступны стратегии calculateBonus в seller.retention
+ * @param options.byCategory добавить в отчет выручку, прибыль и количество по категориям товаров
+ * @param options.trackLosses добавить в отчет раздел losses: позиции, проданные в убыток,
+ * сумма убытка и три SKU с наибольшим убытком
  * @returns {{revenue, top_products, bonus, name, sales_count, profit, seller_id}[]}
  */
 // Основная функция анализа данных продаж
 function analyzeSalesData(data, options) {
+  return analyzeSalesReport(data, options).sellers;
+}
+
+/**
+ * Функция для анализа данных продаж с дополнительными разделами отчета
+ * Сумма позиции с неизвестным товаром в orphans считается той же стратегией calculateRevenue,
+ * но без карточки товара: вторым аргументом передается undefined
+ * @param data
+ * @param options настройки analyzeSalesData
+ * @param options.reconcile сверять суммы чеков с выручкой по позициям
+ * @param options.reconcileTolerance допустимое расхождение при сверке (по умолчанию 0.01)
+ * @param options.validation режим проверки данных: "strict" — ошибка со списком всех проблем,
+ * "lenient" — строки с ошибками пропускаются и попадают в issues
+ * @returns {{sellers: object[], orphans: object, discrepancies?: object[], issues?: object[], categories?: object[], teams?: object[]}}
+ */
+// Функция полного анализа: рейтинг продавцов и вспомогательные разделы
+function analyzeSalesReport(data, options) {
   //  Проверка входных данных
 
-  if (!data) {
-    throw new Error("Данные обязательны для обработки");
+  assertSalesData(data);
+
+  // Проверка наличия опций
+
+  if (!options) {
+    throw new OptionsError("OPTIONS_REQUIRED", "options", "Настройки обработки обязательны");
   }
 
-  if (
-    !data.customers ||
-    !data.products ||
-    !data.sellers ||
-    !data.purchase_records
-  ) {
-    throw new Error("Неверная структура данных");
+  const {
+    calculateRevenue,
+    calculateBonus,
+    from,
+    to,
+    reconcile = false,
+    reconcileTolerance = 0.01,
+    validation,
+    ties,
+    bonusPool,
+    trackLosses = false,
+    byCategory = false,
+    retention = false,
+    rankBy,
+    explain = false,
+    tenure = false,
+    targets,
+    targetMetric = "profit",
+    teams,
+    calculateTeamBonus,
+    topProducts = {},
+  } = options;
+
+  if (typeof options.calculateRevenue !== "function") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.calculateRevenue",
+      "Функция calculateRevenue обязательна в настройках"
+    );
   }
 
-  if (
-    data.customers.length === 0 ||
-    data.products.length === 0 ||
-    data.sellers.length === 0 ||
-    data.purchase_records.length === 0
-  ) {
-    throw new Error("Все массивы данных должны содержать хотя бы один элемент");
+  if (bonusPool !== undefined) {
+    validateBonusPool(bonusPool);
+  } else if (typeof options.calculateBonus !== "function") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.calculateBonus",
+      "Функция calculateBonus обязательна в настройках"
+    );
   }
 
-  // Проверка наличия опций
+  assertPeriodBounds(from, to);
 
-  if (!options) {
-    throw new Error("Настройки обработки обязательны");
+  const retentionDate =
+    retention && retention.referenceDate !== undefined ? retention.referenceDate : from;
+
+  if (retentionDate !== undefined && !isValidISODate(retentionDate)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.retention.referenceDate",
+      "Дата отсчета новых покупателей должна быть датой в формате YYYY-MM-DD"
+    );
+  }
+
+  const { limit: topLimit = 10, by: topBy = "quantity", tieBreak: topTieBreak = "sku" } =
+    topProducts || {};
+
+  validateTopProducts(topLimit, topBy, topTieBreak);
+
+  validateTeams(teams, calculateTeamBonus);
+
+  if (targets !== undefined) {
+    validateTargets(targets);
+  }
+
+  if (targetMetric !== "profit" && targetMetric !== "revenue") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.targetMetric",
+      "Показатель целей targetMetric должен быть profit или revenue"
+    );
+  }
+
+  const rankWeights = rankBy !== undefined ? normalizeRankBy(rankBy) : null;
+
+  if (typeof reconcileTolerance !== "number" || !(reconcileTolerance >= 0)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.reconcileTolerance",
+      "Допустимое расхождение reconcileTolerance должно быть неотрицательным числом"
+    );
   }
 
-  const { calculateRevenue, calculateBonus } = options;
+  if (validation !== undefined && validation !== "strict" && validation !== "lenient") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.validation",
+      "Режим проверки validation должен быть strict или lenient"
+    );
+  }
+
+  if (ties !== undefined && !["dense", "competition", "shared"].includes(ties)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.ties",
+      "Правило ties должно быть dense, competition или shared"
+    );
+  }
+
+  // Проверка данных целиком: в строгом режиме любая ошибка прерывает расчет,
+  // в нестрогом ошибочные чеки и позиции исключаются из расчета
+
+  const issues = validation ? validateSalesData(data) : [];
+  const errors = issues.filter((issue) => issue.severity === "error");
+
+  if (validation === "strict" && errors.length > 0) {
+    throw new DataValidationError(
+      "INVALID_DATA",
+      errors[0].path,
+      `Найдены ошибки в данных: ${errors.length}`,
+      errors
+    );
+  }
+
+  const { records: validRecords, indexes: validIndexes } =
+    validation === "lenient"
+      ? excludeInvalidRows(data.purchase_records, issues)
+      : {
+          records: data.purchase_records,
+          indexes: data.purchase_records.map((_record, recordIndex) => recordIndex),
+        };
+
+  // В нестрогом режиме записи справочников, не являющиеся объектами, пропускаются
+  const catalog = (collection) =>
+    validation === "lenient"
+      ? collection.filter((entry) => Boolean(entry) && typeof entry === "object")
+      : collection;
+  const sellerEntries = catalog(data.sellers);
+  const productEntries = catalog(data.products);
+
+  // С учетом стажа чеки раньше start_date продавца исключаются с предупреждением
+
+  const startDates = sellerEntries.reduce(
+    (result, seller) => ({
+      ...result,
+      [seller.id]: seller.start_date,
+    }),
+    {}
+  );
+
+  const tenureCheck = tenure
+    ? excludeSalesBeforeStart(validRecords, validIndexes, startDates, from, to)
+    : { records: validRecords, issues: [] };
 
-  if (typeof options.calculateRevenue !== "function") {
-    throw new Error("Функция calculateRevenue обязательна в настройках");
-  }
+  issues.push(...tenureCheck.issues);
 
-  if (typeof options.calculateBonus !== "function") {
-    throw new Error("Функция calculateBonus обязательна в настройках");
-  }
+  const records = tenureCheck.records;
 
   // Подготовка промежуточных данных для сбора статистики
 
-  const sellersStats = data.sellers.map((seller) => ({
+  const sellersStats = sellerEntries.map((seller) => ({
     id: seller.id,
     name: `${seller.first_name} ${seller.last_name}`,
+    position: seller.position,
+    start_date: seller.start_date,
     revenue: 0,
     profit: 0,
     sales_count: 0,
+    // Количество по SKU: { sku: количество }, доступно стратегиям calculateBonus
     products_sold: {},
+    // Количество, выручка и прибыль по SKU для top_products
+    products: {},
+    // Число чеков каждого покупателя у продавца в периоде
+    customers: {},
+    // Выручка, прибыль и количество по категориям товаров
+    categories: {},
+    // Позиции, проданные в убыток: число, сумма убытка и убыток по SKU
+    losses: {
+      count: 0,
+      amount: 0,
+      products: {},
+    },
   }));
 
   // Индексация продавцов и товаров для быстрого доступа
@@ -115,7 +1856,7 @@ function analyzeSalesData(data, options) {
     {}
   );
 
-  const productIndex = data.products.reduce(
+  const productIndex = productEntries.reduce(
     (result, product) => ({
       ...result,
       [product.sku]: product,
@@ -123,13 +1864,24 @@ function analyzeSalesData(data, options) {
     {}
   );
 
-  // Расчет выручки и прибыли для каждого продавца
+  const discrepancies = [];
+  const orphanReceipts = [];
+  const orphanItems = [];
 
-  data.purchase_records.forEach((record) => {
+  // Расчет выручки и прибыли для каждого продавца.
+  // Выручка и прибыль считаются по позициям одной и той же стратегией
+  // calculateRevenue, total_amount чека используется только для сверки
+
+  const periodRecords = filterRecordsByDate(records, from, to);
+
+  periodRecords.forEach((record) => {
     const seller = sellerIndex[record.seller_id];
     if (seller) {
       seller.sales_count += 1;
-      seller.revenue += record.total_amount;
+      seller.customers[record.customer_id] = (seller.customers[record.customer_id] || 0) + 1;
+
+      let itemsAmount = 0;
+      let itemsDiscount = 0;
 
       record.items.forEach((item) => {
         const product = productIndex[item.sku];
@@ -137,46 +1889,1023 @@ function analyzeSalesData(data, options) {
           const cost = product.purchase_price * item.quantity
           const revenue = calculateRevenue(item, product)
           const profit = revenue - cost
+          seller.revenue = seller.revenue + revenue
           seller.profit = seller.profit + profit
 
+          itemsAmount += revenue;
+          itemsDiscount += item.sale_price * item.quantity - revenue;
+
           if (!seller.products_sold[item.sku]) {
             seller.products_sold[item.sku] = 0;
           }
           seller.products_sold[item.sku] += item.quantity;
+
+          if (!seller.products[item.sku]) {
+            seller.products[item.sku] = { quantity: 0, revenue: 0, profit: 0 };
+          }
+          seller.products[item.sku].quantity += item.quantity;
+          seller.products[item.sku].revenue += revenue;
+          seller.products[item.sku].profit += profit;
+
+          const category = product.category || "Без категории";
+          if (!seller.categories[category]) {
+            seller.categories[category] = { revenue: 0, profit: 0, quantity: 0 };
+          }
+          seller.categories[category].revenue += revenue;
+          seller.categories[category].profit += profit;
+          seller.categories[category].quantity += item.quantity;
+
+          if (profit < 0) {
+            seller.losses.count += 1;
+            seller.losses.amount += -profit;
+            if (!seller.losses.products[item.sku]) {
+              seller.losses.products[item.sku] = { count: 0, amount: 0 };
+            }
+            seller.losses.products[item.sku].count += 1;
+            seller.losses.products[item.sku].amount += -profit;
+          }
+        } else {
+          // Карточки товара нет, поэтому стратегия выручки получает только позицию чека
+          orphanItems.push({
+            receipt_id: record.receipt_id,
+            date: record.date,
+            seller_id: record.seller_id,
+            sku: item.sku,
+            quantity: item.quantity,
+            amount: Number(calculateRevenue(item, undefined).toFixed(2)),
+            reason: "UNKNOWN_SKU",
+          });
+        }
+      });
+
+      if (reconcile) {
+        const discrepancy = reconcileReceipt(record, itemsAmount, itemsDiscount, reconcileTolerance);
+        if (discrepancy) {
+          discrepancies.push(discrepancy);
         }
+      }
+    } else {
+      orphanReceipts.push({
+        receipt_id: record.receipt_id,
+        date: record.date,
+        seller_id: record.seller_id,
+        amount: record.total_amount,
+        reason: "UNKNOWN_SELLER",
       });
     }
   });
 
-  // Сортировка продавцов по прибыли
+  // Удержание покупателей: уникальные, повторные (два чека и больше в периоде)
+  // и новые — впервые купившие у продавца не раньше даты отсчета.
+  // Первая покупка ищется по всей истории, а не только в периоде
+
+  const firstPurchases = {};
+
+  records.forEach((record) => {
+    const key = `${record.seller_id}:${record.customer_id}`;
+    if (firstPurchases[key] === undefined || record.date < firstPurchases[key]) {
+      firstPurchases[key] = record.date;
+    }
+  });
+
+  sellersStats.forEach((seller) => {
+    const customerIds = Object.keys(seller.customers);
+    const repeatCustomers = customerIds.filter((id) => seller.customers[id] > 1).length;
+    seller.retention = {
+      unique_customers: customerIds.length,
+      repeat_customers: repeatCustomers,
+      repeat_rate: customerIds.length > 0 ? repeatCustomers / customerIds.length : 0,
+      // Без даты отсчета новых покупателей не отличить от постоянных
+      new_customers:
+        retentionDate === undefined
+          ? null
+          : customerIds.filter((id) => firstPurchases[`${seller.id}:${id}`] >= retentionDate).length,
+    };
+  });
+
+  // Доля периода, которую проработал продавец: границы периода — from и to,
+  // а если они не заданы — первая и последняя даты чеков (включая исключенные по стажу)
+
+  const boundRecords = filterRecordsByDate(validRecords, from, to);
+  const periodFrom =
+    from !== undefined
+      ? from
+      : boundRecords.reduce((min, record) => (min && min <= record.date ? min : record.date), undefined);
+  const periodTo =
+    to !== undefined
+      ? to
+      : boundRecords.reduce((max, record) => (max && max >= record.date ? max : record.date), undefined);
+
+  sellersStats.forEach((seller) => {
+    seller.tenure =
+      periodFrom !== undefined && periodTo !== undefined
+        ? getTenureShare(seller.start_date, periodFrom, periodTo)
+        : { active_days: 0, period_days: 0, share: 1 };
+  });
+
+  // Цель продавца на период отчета: каждая цель учитывается пропорционально дням
+  // своего периода, попавшим в отчет (неделя на стыке месяцев делится между ними)
 
-  sellersStats.sort((a, b) => b.profit - a.profit);
+  sellersStats.forEach((seller) => {
+    const sellerTargets = (targets && targets[seller.id]) || {};
+    const amount =
+      periodFrom !== undefined && periodTo !== undefined
+        ? Object.entries(sellerTargets).reduce((sum, [label, value]) => {
+            const bounds = getPeriodByLabel(label);
+            const overlapDays = countDays(
+              bounds.from > periodFrom ? bounds.from : periodFrom,
+              bounds.to < periodTo ? bounds.to : periodTo
+            );
+            return sum + value * (overlapDays / countDays(bounds.from, bounds.to));
+          }, 0)
+        : 0;
 
-  // Назначение премий на основе ранжирования
+    seller.target =
+      amount > 0
+        ? {
+            metric: targetMetric,
+            amount,
+            actual: seller[targetMetric],
+            attainment: seller[targetMetric] / amount,
+          }
+        : null;
+  });
+
+  // Сортировка продавцов по прибыли или по оценке из показателей rankBy
+
+  if (rankWeights) {
+    scoreSellers(sellersStats, rankWeights);
+  }
+
+  sellersStats.sort(compareSellers);
+
+  // Назначение премий на основе ранжирования.
+  // Четвертым аргументом calculateBonus получает место продавца в рейтинге
+
+  const places = rankSellers(sellersStats, ties);
+
+  const poolBonuses =
+    bonusPool !== undefined ? distributeBonusPool(sellersStats, places, bonusPool) : null;
+
+  // Доли фонда уже округлены до копеек, и прежнее округление могло бы срезать копейку
+  // (0.29 * 100 = 28.999…), поэтому для фонда используется floorToCents.
+  // Для стратегий calculateBonus сохраняется исходное округление отчета
+  const roundBonus = (value) =>
+    poolBonuses ? floorToCents(value) : Math.floor(value * 100) / 100;
+
+  sellersStats.forEach((seller, position) => {
+    const place = places[position];
+    seller.rank = place.rank;
+
+    // Стратегии записывают базу, процент, уровень и корректировки;
+    // в отчет они попадают в режиме explain, причина отказа в бонусе — всегда
+    const details = {};
+    const adjustments = [];
+    const note = ({ adjustment, ...fields }) => {
+      Object.assign(details, fields);
+      if (adjustment) adjustments.push(adjustment);
+    };
+
+    if (poolBonuses) {
+      seller.bonus = poolBonuses[position];
+      note({
+        method: "bonus_pool",
+        distribution: bonusPool.distribution || "profit",
+        pool: bonusPool.amount,
+        share: bonusPool.amount > 0 ? Number((seller.bonus / bonusPool.amount).toFixed(6)) : 0,
+      });
+    } else if (ties === "shared") {
+      // Бонусы за все занятые группой позиции складываются и делятся поровну
+      const bonuses = Array.from({ length: place.tie_size }, (_value, offset) =>
+        calculateBonus(
+          place.tie_start + offset,
+          sellersStats.length,
+          seller,
+          place,
+          offset === position - place.tie_start ? note : undefined
+        )
+      );
+      const own = bonuses[position - place.tie_start];
+      seller.bonus = bonuses.reduce((sum, bonus) => sum + bonus, 0) / place.tie_size;
+      if (place.tie_size > 1) {
+        note({
+          adjustment: {
+            type: "shared_tie",
+            before: own,
+            after: seller.bonus,
+            reason: `общий фонд мест ${place.tie_start + 1}–${place.tie_start + place.tie_size} делится на ${place.tie_size}`,
+          },
+        });
+      }
+    } else {
+      seller.bonus = calculateBonus(place.index, place.total, seller, place, note);
+    }
+
+    seller.disqualified = details.disqualified;
 
-  sellersStats.forEach((seller, index) => {
-    seller.bonus = calculateBonus(index, sellersStats.length, seller);
-    seller.top_products = Object.entries(seller.products_sold)
-      .map(([sku, quantity]) => ({
+    if (explain) {
+      seller.bonus_details = {
+        rank: place.rank,
+        ...details,
+        ...(details.base !== undefined && { base: Number(details.base.toFixed(2)) }),
+        adjustments,
+        calculated: Number(seller.bonus.toFixed(6)),
+        rounding: Number((roundBonus(seller.bonus) - seller.bonus).toFixed(6)),
+        bonus: roundBonus(seller.bonus),
+      };
+    }
+
+    // При равенстве основного показателя порядок не зависит от порядка чеков:
+    // сначала по выручке (если задано), затем по номеру SKU.
+    // Суммы сравниваются в копейках, чтобы погрешность сложения не меняла порядок
+    const cents = (value) => Math.round(value * 100);
+    seller.top_products = Object.entries(seller.products)
+      .map(([sku, stats]) => ({
         sku,
-        quantity,
+        ...stats,
       }))
-      .sort((a, b) => b.quantity - a.quantity)
-      .slice(0, 10);
+      .sort(
+        (a, b) =>
+          cents(b[topBy]) - cents(a[topBy]) ||
+          (topTieBreak === "revenue" && cents(b.revenue) - cents(a.revenue)) ||
+          naturalSKUCompare(a.sku, b.sku)
+      )
+      .slice(0, topLimit);
   });
 
+  // Итоги и рейтинг команд, командный бонус делится между участниками по вкладу
+
+  const teamSummary = teams !== undefined ? summarizeTeams(sellersStats, teams, calculateTeamBonus) : null;
+
+  const teamBonuses = (teamSummary || [])
+    .flatMap((team) => team.members)
+    .reduce(
+      (result, member) => ({
+        ...result,
+        [member.seller_id]: member.bonus,
+      }),
+      {}
+    );
+
   // Подготовка итоговой коллекции с нужными полями
 
-  return sellersStats.map((seller) => ({
+  const sellers = sellersStats.map((seller) => ({
     seller_id: seller.id,
     name: seller.name,
+    ...((ties !== undefined || rankWeights) && { rank: seller.rank }),
     revenue: Number(seller.revenue.toFixed(2)),
     profit: Number(seller.profit.toFixed(2)),
     sales_count: seller.sales_count,
     top_products: seller.top_products.map((product) => ({
       sku: product.sku,
       quantity: product.quantity,
+      ...(topBy !== "quantity" && { [topBy]: Number(product[topBy].toFixed(2)) }),
     })),
-    bonus: Math.floor(seller.bonus * 100) / 100,
+    bonus: roundBonus(seller.bonus),
+    ...(seller.disqualified !== undefined && { disqualified: seller.disqualified }),
+    ...(teams !== undefined && {
+      team: teams[seller.id] !== undefined ? teams[seller.id] : null,
+      ...(calculateTeamBonus && {
+        team_bonus: teamBonuses[seller.id] !== undefined ? teamBonuses[seller.id] : 0,
+      }),
+    }),
+    ...(tenure && {
+      position: seller.position,
+      start_date: seller.start_date,
+      tenure: {
+        ...seller.tenure,
+        share: Number(seller.tenure.share.toFixed(4)),
+      },
+    }),
+    ...(targets && {
+      target: seller.target && {
+        metric: seller.target.metric,
+        amount: Number(seller.target.amount.toFixed(2)),
+        actual: Number(seller.target.actual.toFixed(2)),
+        attainment_percent: Number((seller.target.attainment * 100).toFixed(2)),
+      },
+    }),
+    ...(explain && { bonus_details: seller.bonus_details }),
+    ...(rankWeights && {
+      score: Number(seller.score.toFixed(4)),
+      score_details: Object.entries(seller.score_details).reduce(
+        (result, [metric, contribution]) => ({
+          ...result,
+          [metric]: Number(contribution.toFixed(4)),
+        }),
+        {}
+      ),
+    }),
+    ...(retention && {
+      retention: {
+        ...seller.retention,
+        repeat_rate: Number(seller.retention.repeat_rate.toFixed(4)),
+      },
+    }),
+    ...(byCategory && {
+      categories: Object.entries(seller.categories)
+        .map(([category, stats]) => ({
+          category,
+          revenue: Number(stats.revenue.toFixed(2)),
+          profit: Number(stats.profit.toFixed(2)),
+          quantity: stats.quantity,
+        }))
+        .sort((a, b) => b.revenue - a.revenue || a.category.localeCompare(b.category)),
+    }),
+    ...(trackLosses && {
+      losses: {
+        count: seller.losses.count,
+        amount: Number(seller.losses.amount.toFixed(2)),
+        worst_products: Object.entries(seller.losses.products)
+          .map(([sku, loss]) => ({
+            sku,
+            count: loss.count,
+            amount: Number(loss.amount.toFixed(2)),
+          }))
+          .sort((a, b) => b.amount - a.amount || naturalSKUCompare(a.sku, b.sku))
+          .slice(0, 3),
+      },
+    }),
+  }));
+
+  // Чеки и позиции, не попавшие в отчет, с суммами для аудита
+
+  const sumAmounts = (entries) =>
+    Number(entries.reduce((sum, entry) => sum + entry.amount, 0).toFixed(2));
+
+  const orphans = {
+    receipts: orphanReceipts,
+    items: orphanItems,
+    totals: {
+      receipts_count: orphanReceipts.length,
+      receipts_amount: sumAmounts(orphanReceipts),
+      items_count: orphanItems.length,
+      items_amount: sumAmounts(orphanItems),
+      amount: Number((sumAmounts(orphanReceipts) + sumAmounts(orphanItems)).toFixed(2)),
+    },
+  };
+
+  const result = { sellers, orphans };
+
+  if (byCategory) {
+    result.categories = summarizeCategories(sellersStats);
+  }
+
+  if (teamSummary) {
+    result.teams = teamSummary;
+  }
+
+  if (reconcile) {
+    result.discrepancies = discrepancies;
+  }
+
+  if (validation || tenure) {
+    result.issues = issues;
+  }
+
+  return result;
+}
+/**
+ * Функция для определения периода, в который попадает дата
+ * @param date дата чека (YYYY-MM-DD)
+ * @param period тип периода: "month", "quarter" или "week" (неделя ISO 8601)
+ * @returns {{label: string, from: string, to: string}}
+ */
+// Функция расчета метки и границ периода для даты
+function getPeriodBounds(date, period) {
+  const day = new Date(`${date}T00:00:00Z`);
+  const year = day.getUTCFullYear();
+  const toISO = (value) => value.toISOString().slice(0, 10);
+
+  if (period === "month") {
+    const month = day.getUTCMonth();
+    return {
+      label: date.slice(0, 7),
+      from: toISO(new Date(Date.UTC(year, month, 1))),
+      to: toISO(new Date(Date.UTC(year, month + 1, 0))),
+    };
+  }
+
+  if (period === "quarter") {
+    const quarter = Math.floor(day.getUTCMonth() / 3);
+    return {
+      label: `${year}-Q${quarter + 1}`,
+      from: toISO(new Date(Date.UTC(year, quarter * 3, 1))),
+      to: toISO(new Date(Date.UTC(year, quarter * 3 + 3, 0))),
+    };
+  }
+
+  // Неделя ISO начинается в понедельник и относится к тому году,
+  // на который приходится ее четверг
+  const weekday = (day.getUTCDay() + 6) % 7;
+  const monday = new Date(day.getTime() - weekday * 86400000);
+  const sunday = new Date(monday.getTime() + 6 * 86400000);
+  const thursday = new Date(monday.getTime() + 3 * 86400000);
+  const weekYear = thursday.getUTCFullYear();
+  const firstThursday = new Date(Date.UTC(weekYear, 0, 4));
+  const firstMonday = new Date(
+    firstThursday.getTime() - ((firstThursday.getUTCDay() + 6) % 7) * 86400000
+  );
+  const week = Math.round((monday - firstMonday) / (7 * 86400000)) + 1;
+
+  return {
+    label: `${weekYear}-W${String(week).padStart(2, "0")}`,
+    from: toISO(monday),
+    to: toISO(sunday),
+  };
+}
+
+/**
+ * Функция для определения границ периода по его метке
+ * @param label метка периода, как в getPeriodBounds: "2024-03", "2024-Q1" или "2024-W05"
+ * @returns {{label: string, from: string, to: string}|null} null для некорректной метки
+ */
+// Функция обратного разбора метки периода
+function getPeriodByLabel(label) {
+  const month = /^(\d{4})-(\d{2})$/.exec(label);
+  if (month) {
+    const date = `${label}-01`;
+    return isValidISODate(date) ? getPeriodBounds(date, "month") : null;
+  }
+
+  const quarter = /^(\d{4})-Q([1-4])$/.exec(label);
+  if (quarter) {
+    const firstMonth = String((Number(quarter[2]) - 1) * 3 + 1).padStart(2, "0");
+    return getPeriodBounds(`${quarter[1]}-${firstMonth}-01`, "quarter");
+  }
+
+  // Неделя отсчитывается от понедельника недели, содержащей 4 января
+  const week = /^(\d{4})-W(\d{2})$/.exec(label);
+  if (week) {
+    const january4 = new Date(Date.UTC(Number(week[1]), 0, 4));
+    const firstMonday = january4.getTime() - ((january4.getUTCDay() + 6) % 7) * 86400000;
+    const monday = new Date(firstMonday + (Number(week[2]) - 1) * 7 * 86400000);
+    const bounds = getPeriodBounds(monday.toISOString().slice(0, 10), "week");
+    return bounds.label === label ? bounds : null;
+  }
+
+  return null;
+}
+
+/**
+ * Функция для анализа данных продаж с разбивкой по периодам
+ * @param data
+ * @param options настройки analyzeSalesData
+ * @param options.period тип периода: "month", "quarter" или "week"
+ * @returns {{period: string, from: string, to: string, report: object[]}[]}
+ */
+// Функция построения отдельного рейтинга продавцов за каждый период
+function analyzeSalesDataByPeriod(data, options) {
+  assertSalesData(data);
+
+  if (!options) {
+    throw new OptionsError("OPTIONS_REQUIRED", "options", "Настройки обработки обязательны");
+  }
+
+  const { period, from, to } = options;
+
+  if (!["month", "quarter", "week"].includes(period)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.period",
+      "Тип периода period должен быть month, quarter или week"
+    );
+  }
+
+  assertPeriodBounds(from, to);
+
+  // Периоды, в которых были продажи, в хронологическом порядке
+
+  const periods = {};
+
+  data.purchase_records.forEach((record) => {
+    if (!isValidISODate(record.date)) {
+      return;
+    }
+    const bounds = getPeriodBounds(record.date, period);
+    periods[bounds.label] = bounds;
+  });
+
+  // Рейтинг и бонусы считаются независимо внутри каждого периода,
+  // крайние периоды обрезаются общими границами from/to
+
+  return Object.values(periods)
+    .sort((a, b) => a.from.localeCompare(b.from))
+    .map((bounds) => ({
+      period: bounds.label,
+      from: from !== undefined && from > bounds.from ? from : bounds.from,
+      to: to !== undefined && to < bounds.to ? to : bounds.to,
+    }))
+    .filter((bounds) => bounds.from <= bounds.to)
+    .map((bounds) => ({
+      ...bounds,
+      report: analyzeSalesData(data, { ...options, from: bounds.from, to: bounds.to }),
+    }));
+}
+
+/**
+ * Функция для сравнения отчетов analyzeSalesData за два периода
+ * @param current отчет за текущий период
+ * @param previous отчет за предыдущий период
+ * @returns {{seller_id, name, status, revenue, profit, sales_count, rank}[]} изменения по каждому продавцу:
+ * status — "new" (в предыдущем периоде продаж не было), "gone" (в текущем продаж нет),
+ * "active" или "inactive" (продаж нет в обоих периодах); revenue и profit — текущее и прошлое
+ * значения, изменение change и change_percent (null, если в прошлом периоде был 0);
+ * rank — места в периодах и movement: на сколько мест продавец поднялся (отрицательное — опустился),
+ * null, если у продавца нет продаж хотя бы в одном из периодов
+ */
+// Функция расчета прироста показателей и движения продавцов в рейтинге
+function compareReports(current, previous) {
+  if (!Array.isArray(current)) {
+    throw new DataValidationError(
+      "INVALID_STRUCTURE",
+      "current",
+      "Текущий отчет должен быть массивом продавцов"
+    );
+  }
+
+  if (!Array.isArray(previous)) {
+    throw new DataValidationError(
+      "INVALID_STRUCTURE",
+      "previous",
+      "Предыдущий отчет должен быть массивом продавцов"
+    );
+  }
+
+  // Место берется из поля rank, а без него — по позиции в отчете
+  const index = (report) =>
+    report.reduce(
+      (result, seller, position) => ({
+        ...result,
+        [seller.seller_id]: { seller, rank: seller.rank !== undefined ? seller.rank : position + 1 },
+      }),
+      {}
+    );
+
+  const currentIndex = index(current);
+  const previousIndex = index(previous);
+
+  const compare = (now, before) => ({
+    current: now,
+    previous: before,
+    change: Number((now - before).toFixed(2)),
+    change_percent:
+      before !== 0 ? Number((((now - before) / Math.abs(before)) * 100).toFixed(2)) : null,
+  });
+
+  // Сначала продавцы текущего отчета в его порядке, затем выбывшие — в порядке прошлого
+  const sellerIds = [
+    ...current.map((seller) => seller.seller_id),
+    ...previous.map((seller) => seller.seller_id).filter((id) => !currentIndex[id]),
+  ];
+
+  return sellerIds.map((sellerId) => {
+    const now = currentIndex[sellerId];
+    const before = previousIndex[sellerId];
+    const active = (entry) => Boolean(entry) && entry.seller.sales_count > 0;
+
+    let status = "inactive";
+    if (active(now) && active(before)) status = "active";
+    else if (active(now)) status = "new";
+    else if (active(before)) status = "gone";
+
+    const value = (entry, field) => (entry ? entry.seller[field] : 0);
+
+    return {
+      seller_id: sellerId,
+      name: (now || before).seller.name,
+      status,
+      revenue: compare(value(now, "revenue"), value(before, "revenue")),
+      profit: compare(value(now, "profit"), value(before, "profit")),
+      sales_count: compare(value(now, "sales_count"), value(before, "sales_count")),
+      rank: {
+        current: now ? now.rank : null,
+        previous: before ? before.rank : null,
+        movement: status === "active" ? before.rank - now.rank : null,
+      },
+    };
+  });
+}
+
+/**
+ * Функция для анализа продаж по товарам
+ * @param data
+ * @param options
+ * @param options.calculateRevenue функция расчета выручки, как в analyzeSalesData
+ * @param options.from начало периода включительно (YYYY-MM-DD), необязательно
+ * @param options.to конец периода включительно (YYYY-MM-DD), необязательно
+ * @param options.sortBy показатель рейтинга: "revenue" (по умолчанию), "profit", "margin",
+ * "quantity" или "receipts_count"
+ * @returns {{rank, sku, name, category, revenue, profit, margin, quantity, receipts_count}[]}
+ */
+// Функция построения рейтинга товаров каталога, включая непроданные
+function analyzeProducts(data, options) {
+  assertSalesData(data);
+
+  if (!options) {
+    throw new OptionsError("OPTIONS_REQUIRED", "options", "Настройки обработки обязательны");
+  }
+
+  const { calculateRevenue, from, to, sortBy = "revenue" } = options;
+
+  if (typeof calculateRevenue !== "function") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.calculateRevenue",
+      "Функция calculateRevenue обязательна в настройках"
+    );
+  }
+
+  assertPeriodBounds(from, to);
+
+  const sortKeys = ["revenue", "profit", "margin", "quantity", "receipts_count"];
+
+  if (!sortKeys.includes(sortBy)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.sortBy",
+      `Показатель sortBy должен быть одним из: ${sortKeys.join(", ")}`
+    );
+  }
+
+  // Статистика заводится для каждого товара каталога, чтобы непроданные
+  // товары тоже попали в отчет
+
+  const productsStats = data.products.map((product) => ({
+    product,
+    revenue: 0,
+    profit: 0,
+    quantity: 0,
+    receipts: new Set(),
+  }));
+
+  const productIndex = productsStats.reduce(
+    (result, product) => ({
+      ...result,
+      [product.product.sku]: product,
+    }),
+    {}
+  );
+
+  filterRecordsByDate(data.purchase_records, from, to).forEach((record) => {
+    record.items.forEach((item) => {
+      const stats = productIndex[item.sku];
+      if (stats) {
+        const revenue = calculateRevenue(item, stats.product);
+        stats.revenue += revenue;
+        stats.profit += revenue - stats.product.purchase_price * item.quantity;
+        stats.quantity += item.quantity;
+        stats.receipts.add(record.receipt_id);
+      }
+    });
+  });
+
+  // Маржа — доля прибыли в выручке в процентах; у непроданного товара ее нет
+
+  const products = productsStats.map((stats) => ({
+    sku: stats.product.sku,
+    name: stats.product.name,
+    category: stats.product.category,
+    revenue: Number(stats.revenue.toFixed(2)),
+    profit: Number(stats.profit.toFixed(2)),
+    margin: stats.revenue > 0 ? Number(((stats.profit / stats.revenue) * 100).toFixed(2)) : null,
+    quantity: stats.quantity,
+    receipts_count: stats.receipts.size,
+  }));
+
+  const value = (product) => (product[sortBy] === null ? -Infinity : product[sortBy]);
+
+  return products
+    .sort((a, b) => value(b) - value(a) || naturalSKUCompare(a.sku, b.sku))
+    .map((product, index) => ({ rank: index + 1, ...product }));
+}
+
+/**
+ * Функция для анализа покупателей
+ * @param data
+ * @param options
+ * @param options.calculateRevenue функция расчета выручки, как в analyzeSalesData
+ * @param options.from начало периода включительно (YYYY-MM-DD), необязательно
+ * @param options.to конец периода включительно (YYYY-MM-DD), необязательно
+ * @returns {{customers: object[], workplaces: object[]}}
+ */
+// Функция построения отчета по покупателям и организациям, где они работают
+function analyzeCustomers(data, options) {
+  assertSalesData(data);
+
+  if (!options) {
+    throw new OptionsError("OPTIONS_REQUIRED", "options", "Настройки обработки обязательны");
+  }
+
+  const { calculateRevenue, from, to } = options;
+
+  if (typeof calculateRevenue !== "function") {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.calculateRevenue",
+      "Функция calculateRevenue обязательна в настройках"
+    );
+  }
+
+  assertPeriodBounds(from, to);
+
+  const customersStats = data.customers.map((customer) => ({
+    customer,
+    spend: 0,
+    receipts_count: 0,
+    first_purchase: null,
+    last_purchase: null,
+    categories: {},
   }));
-}
\ No newline at end of file
+
+  const customerIndex = customersStats.reduce(
+    (result, stats) => ({
+      ...result,
+      [stats.customer.id]: stats,
+    }),
+    {}
+  );
+
+  const productIndex = data.products.reduce(
+    (result, product) => ({
+      ...result,
+      [product.sku]: product,
+    }),
+    {}
+  );
+
+  // Сумма покупок считается по позициям той же стратегией, что и выручка продавцов
+
+  filterRecordsByDate(data.purchase_records, from, to).forEach((record) => {
+    const stats = customerIndex[record.customer_id];
+    if (!stats) {
+      return;
+    }
+
+    stats.receipts_count += 1;
+    if (stats.first_purchase === null || record.date < stats.first_purchase) {
+      stats.first_purchase = record.date;
+    }
+    if (stats.last_purchase === null || record.date > stats.last_purchase) {
+      stats.last_purchase = record.date;
+    }
+
+    record.items.forEach((item) => {
+      const product = productIndex[item.sku];
+      if (product) {
+        const revenue = calculateRevenue(item, product);
+        const category = product.category || "Без категории";
+        stats.spend += revenue;
+        stats.categories[category] = (stats.categories[category] || 0) + revenue;
+      }
+    });
+  });
+
+  // Любимая категория — с наибольшей суммой покупок
+
+  const favouriteCategory = (categories) => {
+    const [favourite] = Object.entries(categories).sort(
+      ([nameA, spendA], [nameB, spendB]) => spendB - spendA || nameA.localeCompare(nameB)
+    );
+    return favourite ? favourite[0] : null;
+  };
+
+  const customers = customersStats
+    .map((stats) => ({
+      customer_id: stats.customer.id,
+      name: `${stats.customer.first_name} ${stats.customer.last_name}`,
+      workplace: stats.customer.workplace,
+      position: stats.customer.position,
+      total_spend: Number(stats.spend.toFixed(2)),
+      receipts_count: stats.receipts_count,
+      average_basket:
+        stats.receipts_count > 0 ? Number((stats.spend / stats.receipts_count).toFixed(2)) : 0,
+      first_purchase: stats.first_purchase,
+      last_purchase: stats.last_purchase,
+      favourite_category: favouriteCategory(stats.categories),
+    }))
+    .sort(
+      (a, b) =>
+        b.total_spend - a.total_spend ||
+        String(a.customer_id).localeCompare(String(b.customer_id))
+    );
+
+  // Сводка по организациям для работы с корпоративными клиентами
+
+  const workplacesStats = {};
+
+  customersStats.forEach((stats) => {
+    const workplace = stats.customer.workplace || "Не указано";
+    if (!workplacesStats[workplace]) {
+      workplacesStats[workplace] = {
+        customers_count: 0,
+        active_customers: 0,
+        spend: 0,
+        receipts_count: 0,
+      };
+    }
+    const entry = workplacesStats[workplace];
+    entry.customers_count += 1;
+    entry.active_customers += stats.receipts_count > 0 ? 1 : 0;
+    entry.spend += stats.spend;
+    entry.receipts_count += stats.receipts_count;
+  });
+
+  const workplaces = Object.entries(workplacesStats)
+    .map(([workplace, entry]) => ({
+      workplace,
+      customers_count: entry.customers_count,
+      active_customers: entry.active_customers,
+      total_spend: Number(entry.spend.toFixed(2)),
+      receipts_count: entry.receipts_count,
+      average_basket:
+        entry.receipts_count > 0 ? Number((entry.spend / entry.receipts_count).toFixed(2)) : 0,
+    }))
+    .sort((a, b) => b.total_spend - a.total_spend || a.workplace.localeCompare(b.workplace));
+
+  return { customers, workplaces };
+}
+
+/**
+ * Функция для определения RFM-сегмента по оценкам покупателя
+ * @param recency оценка давности последней покупки
+ * @param frequency оценка частоты покупок
+ * @param monetary оценка суммы покупок
+ * @param bins число уровней оценки
+ * @returns {string}
+ */
+// Функция сопоставления оценок R, F и M с названием сегмента
+function getRFMSegment(recency, frequency, monetary, bins) {
+  // Оценки приводятся к шкале от 0 (худший уровень) до 1 (лучший),
+  // чтобы правила не зависели от числа уровней
+  const r = (recency - 1) / (bins - 1);
+  const fm = ((frequency + monetary) / 2 - 1) / (bins - 1);
+
+  if (r >= 0.75) {
+    if (fm >= 0.75) return "champions";
+    return fm >= 0.5 ? "loyal" : "promising";
+  }
+  if (r >= 0.5) return fm >= 0.5 ? "loyal" : "needs_attention";
+  if (fm >= 0.5) return "at_risk";
+  return r > 0 ? "hibernating" : "lost";
+}
+
+/**
+ * Функция для RFM-сегментации покупателей
+ * @param data
+ * @param options
+ * @param options.calculateRevenue функция расчета выручки, как в analyzeSalesData
+ * @param options.from начало периода включительно (YYYY-MM-DD), необязательно
+ * @param options.to конец периода включительно (YYYY-MM-DD), необязательно
+ * @param options.referenceDate дата, от которой считается давность покупок (YYYY-MM-DD),
+ * не раньше последнего чека периода, по умолчанию — to или дата последнего чека
+ * @param options.bins число квантильных уровней (по умолчанию 5) или массив границ квантилей
+ * в интервале (0, 1), например [0.25, 0.5, 0.75]
+ * @returns {{customers: object[], sellers: object[]}}
+ */
+// Функция оценки давности, частоты и суммы покупок и подсчета сегментов у продавцов
+function analyzeRFM(data, options) {
+  const { customers } = analyzeCustomers(data, options);
+  const { from, to, referenceDate, bins = 5 } = options;
+
+  if (referenceDate !== undefined && !isValidISODate(referenceDate)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.referenceDate",
+      "Дата отсчета referenceDate должна быть датой в формате YYYY-MM-DD"
+    );
+  }
+
+  const isCutPoints =
+    Array.isArray(bins) &&
+    bins.length > 0 &&
+    bins.every(
+      (cut, i) => typeof cut === "number" && cut > 0 && cut < 1 && (i === 0 || cut > bins[i - 1])
+    );
+
+  if (!isCutPoints && !(Number.isInteger(bins) && bins >= 2)) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.bins",
+      "Уровни bins задаются целым числом от 2 или возрастающим массивом границ из интервала (0, 1)"
+    );
+  }
+
+  const cutPoints = isCutPoints
+    ? bins
+    : Array.from({ length: bins - 1 }, (_value, i) => (i + 1) / bins);
+  const levels = cutPoints.length + 1;
+
+  const records = filterRecordsByDate(data.purchase_records, from, to);
+  const latestDate = records.reduce(
+    (latest, record) => (record.date > latest ? record.date : latest),
+    ""
+  );
+
+  // Давность не может быть отрицательной: дата отсчета не раньше последнего чека периода
+  if (referenceDate !== undefined && referenceDate < latestDate) {
+    throw new OptionsError(
+      "INVALID_OPTION",
+      "options.referenceDate",
+      `Дата отсчета referenceDate (${referenceDate}) раньше последнего чека периода (${latestDate})`
+    );
+  }
+
+  const reference = referenceDate || to || latestDate;
+
+  const daysBetween = (start, end) =>
+    Math.round((new Date(`${end}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / 86400000);
+
+  // Оценки считаются только по покупателям с покупками в периоде
+
+  const active = customers
+    .filter((customer) => customer.receipts_count > 0)
+    .map((customer) => ({
+      ...customer,
+      recency_days: daysBetween(customer.last_purchase, reference),
+    }));
+
+  // Границы уровней — значения показателя на квантилях (по ближайшему рангу)
+  const thresholds = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return cutPoints.map((cut) => sorted[Math.max(Math.ceil(cut * sorted.length) - 1, 0)]);
+  };
+
+  const recencyThresholds = thresholds(active.map((customer) => customer.recency_days));
+  const frequencyThresholds = thresholds(active.map((customer) => customer.receipts_count));
+  const monetaryThresholds = thresholds(active.map((customer) => customer.total_spend));
+
+  // Чем больше частота и сумма, тем выше оценка; для давности — наоборот
+  const scoreAbove = (value, limits) => 1 + limits.filter((limit) => value > limit).length;
+  const scoreBelow = (value, limits) => levels - limits.filter((limit) => value > limit).length;
+
+  const scored = active.map((customer) => {
+    const r = scoreBelow(customer.recency_days, recencyThresholds);
+    const f = scoreAbove(customer.receipts_count, frequencyThresholds);
+    const m = scoreAbove(customer.total_spend, monetaryThresholds);
+    return {
+      customer_id: customer.customer_id,
+      name: customer.name,
+      recency_days: customer.recency_days,
+      frequency: customer.receipts_count,
+      monetary: customer.total_spend,
+      r,
+      f,
+      m,
+      rfm: `${r}${f}${m}`,
+      segment: getRFMSegment(r, f, m, levels),
+    };
+  });
+
+  const inactive = customers
+    .filter((customer) => customer.receipts_count === 0)
+    .map((customer) => ({
+      customer_id: customer.customer_id,
+      name: customer.name,
+      recency_days: null,
+      frequency: 0,
+      monetary: 0,
+      r: null,
+      f: null,
+      m: null,
+      rfm: null,
+      segment: "no_purchases",
+    }));
+
+  const segmentIndex = scored.reduce(
+    (result, customer) => ({
+      ...result,
+      [customer.customer_id]: customer.segment,
+    }),
+    {}
+  );
+
+  // Сегменты покупателей, которых обслуживал каждый продавец (каждый покупатель один раз)
+
+  const servedCustomers = {};
+
+  records.forEach((record) => {
+    if (!servedCustomers[record.seller_id]) {
+      servedCustomers[record.seller_id] = new Set();
+    }
+    servedCustomers[record.seller_id].add(record.customer_id);
+  });
+
+  const sellers = data.sellers.map((seller) => {
+    const served = [...(servedCustomers[seller.id] || [])].filter((id) => segmentIndex[id]);
+    return {
+      seller_id: seller.id,
+      name: `${seller.first_name} ${seller.last_name}`,
+      customers_count: served.length,
+      segments: served.reduce(
+        (result, id) => ({
+          ...result,
+          [segmentIndex[id]]: (result[segmentIndex[id]] || 0) + 1,
+        }),
+        {}
+      ),
+    };
+  });
+
+  return { customers: [...scored, ...inactive], sellers };
+}